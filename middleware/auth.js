@@ -1,17 +1,22 @@
 /**
  * Authentication Middleware
- * Verifies JWT tokens from the Authorization header.
+ * Verifies JWT access tokens from the Authorization header, and that the
+ * login session they belong to has not been revoked (see utils/authTokens.js).
  * Attaches decoded user data to req.user for downstream handlers.
  * Also provides role-based access control middleware.
  */
 
 const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { isSessionActive } = require("../utils/authTokens");
 
 /**
  * Verify JWT token from Authorization: Bearer <token> header
- * Rejects requests without valid tokens.
+ * Rejects requests without valid tokens, tokens whose session was logged
+ * out, and tokens whose account has since been disabled, deleted, or had its
+ * password changed.
  */
-function authenticate(req, res, next) {
+async function authenticate(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
 
@@ -32,7 +37,42 @@ function authenticate(req, res, next) {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // { id, role, email/rollNumber }
+
+    // Tokens from before sessions existed (no sid) cannot be revoked
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has ended. Please login again.",
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(
+      "role disabled passwordChangedAt",
+    );
+    if (!user || user.role !== decoded.role) {
+      return res.status(401).json({
+        success: false,
+        message: "Account no longer exists. Please login again.",
+      });
+    }
+    if (user.disabled) {
+      return res.status(403).json({
+        success: false,
+        message: "This account has been disabled. Contact an administrator.",
+      });
+    }
+    // Token iat is in whole seconds
+    if (
+      user.passwordChangedAt &&
+      decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: "Password was changed. Please login again.",
+      });
+    }
+
+    req.user = decoded; // { id, role, sid, email/rollNumber }
     next();
   } catch (error) {
     if (error.name === "TokenExpiredError") {
@@ -41,16 +81,23 @@ function authenticate(req, res, next) {
         message: "Token has expired. Please login again.",
       });
     }
-    return res.status(401).json({
+    if (error.name === "JsonWebTokenError" || error.name === "NotBeforeError") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token.",
+      });
+    }
+    console.error("Authentication error:", error);
+    return res.status(500).json({
       success: false,
-      message: "Invalid token.",
+      message: "Authentication failed. Please try again.",
     });
   }
 }
 
 /**
  * Role-based access control middleware factory
- * @param  {...string} roles - Allowed roles (e.g., 'student', 'teacher')
+ * @param  {...string} roles - Allowed roles (e.g., 'student', 'teacher', 'admin')
  * @returns {Function} Express middleware
  */
 function authorize(...roles) {
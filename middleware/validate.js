@@ -4,7 +4,8 @@
  * Prevents injection attacks and ensures data integrity.
  */
 
-const { body, param, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
+const { STATUSES } = require("../utils/attendancePolicy");
 
 /**
  * Process validation results - returns 400 with error details if validation fails
@@ -25,7 +26,8 @@ function handleValidationErrors(req, res, next) {
 }
 
 // ─── Student Registration Validation ───
-const validateStudentRegister = [
+// Rules are kept separate so bulk import can apply them row by row
+const studentRegisterRules = [
   body("name")
     .trim()
     .notEmpty()
@@ -69,9 +71,30 @@ const validateStudentRegister = [
     .withMessage("Password is required")
     .isLength({ min: 6 })
     .withMessage("Password must be at least 6 characters"),
+];
+
+const validateStudentRegister = [
+  ...studentRegisterRules,
   handleValidationErrors,
 ];
 
+/**
+ * Validate and sanitize a single imported roster row with the same rules
+ * as student registration.
+ * @param {object} row - Raw row fields (name, rollNumber, email, ...)
+ * @returns {Promise<object>} { data, errors } - Sanitized fields and error list
+ */
+async function validateStudentRow(row) {
+  const req = { body: { ...row } };
+  for (const rule of studentRegisterRules) {
+    await rule.run(req);
+  }
+  const errors = validationResult(req)
+    .array()
+    .map((err) => ({ field: err.path, message: err.msg }));
+  return { data: req.body, errors };
+}
+
 // ─── Teacher Registration Validation ───
 const validateTeacherRegister = [
   body("name")
@@ -139,6 +162,8 @@ const validateTeacherLogin = [
   handleValidationErrors,
 ];
 
+const validateAdminLogin = [...validateTeacherLogin];
+
 // ─── Profile Update Validation ───
 const validateStudentProfileUpdate = [
   body("name")
@@ -183,11 +208,169 @@ const validateAttendanceStart = [
     .notEmpty()
     .withMessage("Subject code is required")
     .toUpperCase(),
+  body("lateAfterMinutes")
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 240 })
+    .withMessage("Late cutoff must be 0-240 minutes")
+    .toInt(),
+  body("section")
+    .optional({ values: "falsy" })
+    .trim()
+    .isAlphanumeric()
+    .withMessage("Section must be alphanumeric")
+    .isLength({ max: 10 })
+    .withMessage("Section must be at most 10 characters")
+    .toUpperCase(),
+  body("room")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Room must be at most 50 characters")
+    .escape(),
   handleValidationErrors,
 ];
 
+// The scan's location is optional; when sent it needs both coordinates
+const hasLocation = body("location").exists({ values: "null" });
+const hasDevice = body("device").exists({ values: "null" });
+
+// Browser-generated device identifiers (see public/js/api.js)
+const DEVICE_ID = /^[A-Za-z0-9-]{16,64}$/;
+
 const validateAttendanceScan = [
   body("qrPayload").notEmpty().withMessage("QR payload is required"),
+  body("location")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("Location must be an object"),
+  body("location.latitude")
+    .if(hasLocation)
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90")
+    .toFloat(),
+  body("location.longitude")
+    .if(hasLocation)
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180")
+    .toFloat(),
+  body("location.accuracy")
+    .if(hasLocation)
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Accuracy must be a positive number of metres")
+    .toFloat(),
+  body("device")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("Device must be an object"),
+  body("device.id")
+    .if(hasDevice)
+    .isString()
+    .matches(DEVICE_ID)
+    .withMessage("Invalid device identifier"),
+  body("device.token")
+    .if(hasDevice)
+    .optional({ values: "null" })
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid device token"),
+  body("clientTime")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .withMessage("Client time must be a Unix time in milliseconds")
+    .toInt(),
+  body("clockOffset")
+    .optional({ values: "null" })
+    .isInt()
+    .withMessage("Clock offset must be a whole number of milliseconds")
+    .toInt(),
+  handleValidationErrors,
+];
+
+// Shared by the session and admin scan-log queries
+const scanAttemptQueryRules = [
+  query("outcome")
+    .optional({ values: "falsy" })
+    .isIn(["accepted", "rejected"])
+    .withMessage("Outcome must be accepted or rejected"),
+  query("rollNumber")
+    .optional({ values: "falsy" })
+    .trim()
+    .toUpperCase()
+    .isLength({ max: 20 })
+    .withMessage("Roll number must be at most 20 characters"),
+  query("limit")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1, max: 500 })
+    .withMessage("Limit must be 1-500")
+    .toInt(),
+];
+
+const validateSessionAttempts = [
+  param("id").isMongoId().withMessage("Invalid session ID"),
+  ...scanAttemptQueryRules,
+  handleValidationErrors,
+];
+
+const validateScanAttemptQuery = [
+  ...scanAttemptQueryRules,
+  query("sessionId")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Invalid session ID"),
+  query("subjectCode").optional({ values: "falsy" }).trim().toUpperCase(),
+  query("from")
+    .optional({ values: "falsy" })
+    .isISO8601({ strict: true })
+    .withMessage("From must be a date (YYYY-MM-DD)"),
+  query("to")
+    .optional({ values: "falsy" })
+    .isISO8601({ strict: true })
+    .withMessage("To must be a date (YYYY-MM-DD)"),
+  handleValidationErrors,
+];
+
+const validateDeviceRegister = [
+  body("deviceId")
+    .isString()
+    .matches(DEVICE_ID)
+    .withMessage("Invalid device identifier"),
+  body("label")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Device label must be at most 100 characters")
+    .escape(),
+  handleValidationErrors,
+];
+
+// ─── QR Image Options (projector views) ───
+// Colours are hex RGB or RGBA, with or without the leading "#"
+const HEX_COLOUR = /^#?([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+
+const validateQRImageQuery = [
+  query("format")
+    .optional({ values: "falsy" })
+    .isIn(["png", "svg"])
+    .withMessage("Format must be png or svg"),
+  query("size")
+    .optional({ values: "falsy" })
+    .isInt({ min: 100, max: 2000 })
+    .withMessage("Size must be between 100 and 2000 pixels")
+    .toInt(),
+  query("margin")
+    .optional({ values: "falsy" })
+    .isInt({ min: 0, max: 10 })
+    .withMessage("Margin must be between 0 and 10 modules")
+    .toInt(),
+  query("dark")
+    .optional({ values: "falsy" })
+    .matches(HEX_COLOUR)
+    .withMessage("Dark colour must be a hex colour"),
+  query("light")
+    .optional({ values: "falsy" })
+    .matches(HEX_COLOUR)
+    .withMessage("Light colour must be a hex colour"),
   handleValidationErrors,
 ];
 
@@ -200,14 +383,667 @@ const validateSubjectCodeParam = [
   handleValidationErrors,
 ];
 
+const validateSessionIdParam = [
+  param("id").isMongoId().withMessage("Invalid session ID"),
+  handleValidationErrors,
+];
+
+const validateRegisterExport = [
+  param("subjectCode")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject code is required")
+    .toUpperCase(),
+  query("format")
+    .trim()
+    .toLowerCase()
+    .isIn(["csv", "xlsx", "pdf"])
+    .withMessage("Format must be csv, xlsx, or pdf"),
+  query("from")
+    .optional({ values: "falsy" })
+    .isISO8601({ strict: true })
+    .withMessage("From must be a date (YYYY-MM-DD)"),
+  query("to")
+    .optional({ values: "falsy" })
+    .isISO8601({ strict: true })
+    .withMessage("To must be a date (YYYY-MM-DD)"),
+  query("term")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^\d{4}-[A-Z]+$/)
+    .withMessage("Term must look like 2025-FALL"),
+  query("section")
+    .optional({ values: "falsy" })
+    .trim()
+    .isAlphanumeric()
+    .withMessage("Section must be alphanumeric")
+    .toUpperCase(),
+  handleValidationErrors,
+];
+
+const validateSectionQuery = [
+  query("section")
+    .optional({ values: "falsy" })
+    .trim()
+    .isAlphanumeric()
+    .withMessage("Section must be alphanumeric")
+    .toUpperCase(),
+  handleValidationErrors,
+];
+
+// ─── Manual Attendance Override Validation ───
+const overrideReason = body("reason")
+  .trim()
+  .notEmpty()
+  .withMessage("A reason is required for manual changes")
+  .isLength({ max: 500 })
+  .withMessage("Reason must be at most 500 characters")
+  .escape();
+
+const validateAttendanceOverrideAdd = [
+  param("id").isMongoId().withMessage("Invalid session ID"),
+  body("rollNumber")
+    .trim()
+    .notEmpty()
+    .withMessage("Roll number is required")
+    .isAlphanumeric()
+    .withMessage("Roll number must be alphanumeric")
+    .toUpperCase(),
+  overrideReason,
+  body("status")
+    .optional({ values: "falsy" })
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(", ")}`),
+  body("timestamp")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("Timestamp must be a valid date-time"),
+  handleValidationErrors,
+];
+
+const validateAttendanceOverrideChange = [
+  param("id").isMongoId().withMessage("Invalid session ID"),
+  param("rollNumber")
+    .trim()
+    .notEmpty()
+    .withMessage("Roll number is required")
+    .toUpperCase(),
+  overrideReason,
+  body("status")
+    .optional({ values: "falsy" })
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(", ")}`),
+  body("timestamp")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("Timestamp must be a valid date-time"),
+  body()
+    .custom((value) => Boolean(value && (value.status || value.timestamp)))
+    .withMessage("Provide a new status or timestamp"),
+  handleValidationErrors,
+];
+
+const validateAttendanceOverrideRemove = [
+  param("id").isMongoId().withMessage("Invalid session ID"),
+  param("rollNumber")
+    .trim()
+    .notEmpty()
+    .withMessage("Roll number is required")
+    .toUpperCase(),
+  overrideReason,
+  handleValidationErrors,
+];
+
+const validateScheduledStart = [
+  param("id").isMongoId().withMessage("Invalid session ID"),
+  body("lateAfterMinutes")
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 240 })
+    .withMessage("Late cutoff must be 0-240 minutes")
+    .toInt(),
+  handleValidationErrors,
+];
+
+const validateSessionCancel = [
+  param("id").isMongoId().withMessage("Invalid session ID"),
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required to cancel a class")
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters")
+    .escape(),
+  handleValidationErrors,
+];
+
+// ─── Leave Request Validation (multipart form fields) ───
+const validateLeaveRequest = [
+  body("fromDate")
+    .notEmpty()
+    .withMessage("Start date is required")
+    .isDate({ format: "YYYY-MM-DD", strict: true })
+    .withMessage("Start date must be a date (YYYY-MM-DD)"),
+  body("toDate")
+    .notEmpty()
+    .withMessage("End date is required")
+    .isDate({ format: "YYYY-MM-DD", strict: true })
+    .withMessage("End date must be a date (YYYY-MM-DD)"),
+  // Accepts an array or a comma-separated list
+  body("subjectCodes")
+    .customSanitizer((value) =>
+      (Array.isArray(value) ? value : String(value || "").split(","))
+        .map((code) => String(code).trim().toUpperCase())
+        .filter(Boolean),
+    )
+    .isArray({ min: 1, max: 20 })
+    .withMessage("Select at least one subject"),
+  body("subjectCodes.*")
+    .isAlphanumeric()
+    .withMessage("Subject code must be alphanumeric"),
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required")
+    .isLength({ max: 1000 })
+    .withMessage("Reason must be at most 1000 characters")
+    .escape(),
+  handleValidationErrors,
+];
+
+const validateLeaveIdParam = [
+  param("id").isMongoId().withMessage("Invalid leave request ID"),
+  handleValidationErrors,
+];
+
+const validateLeaveQueue = [
+  query("status")
+    .optional({ values: "falsy" })
+    .isIn(["pending", "approved", "rejected"])
+    .withMessage("Status must be pending, approved, or rejected"),
+  handleValidationErrors,
+];
+
+const validateLeaveDecision = [
+  param("id").isMongoId().withMessage("Invalid leave request ID"),
+  body("subjectCode")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject code is required")
+    .toUpperCase(),
+  body("decision")
+    .isIn(["approved", "rejected"])
+    .withMessage("Decision must be approved or rejected"),
+  body("note")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note must be at most 500 characters")
+    .escape(),
+  handleValidationErrors,
+];
+
+// ─── Enrollment Validation ───
+const validateTermQuery = [
+  query("term")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^\d{4}-[A-Z]+$/)
+    .withMessage("Term must look like 2025-FALL"),
+  handleValidationErrors,
+];
+
+const validateEnrollmentAdd = [
+  param("subjectCode")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject code is required")
+    .toUpperCase(),
+  body("rollNumbers")
+    .isArray({ min: 1, max: 500 })
+    .withMessage("Provide between 1 and 500 roll numbers"),
+  body("rollNumbers.*")
+    .trim()
+    .notEmpty()
+    .withMessage("Roll number cannot be empty")
+    .isAlphanumeric()
+    .withMessage("Roll number must be alphanumeric")
+    .toUpperCase(),
+  body("section")
+    .optional()
+    .trim()
+    .isAlphanumeric()
+    .withMessage("Section must be alphanumeric")
+    .isLength({ max: 10 })
+    .withMessage("Section must be at most 10 characters")
+    .toUpperCase(),
+  body("term")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^\d{4}-[A-Z]+$/)
+    .withMessage("Term must look like 2025-FALL"),
+  handleValidationErrors,
+];
+
+const validateEnrollmentUpdate = [
+  param("subjectCode")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject code is required")
+    .toUpperCase(),
+  param("rollNumber")
+    .trim()
+    .notEmpty()
+    .withMessage("Roll number is required")
+    .toUpperCase(),
+  body("section")
+    .trim()
+    .notEmpty()
+    .withMessage("Section is required")
+    .isAlphanumeric()
+    .withMessage("Section must be alphanumeric")
+    .isLength({ max: 10 })
+    .withMessage("Section must be at most 10 characters")
+    .toUpperCase(),
+  ...validateTermQuery,
+];
+
+const validateEnrollmentRemove = [
+  param("subjectCode")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject code is required")
+    .toUpperCase(),
+  param("rollNumber")
+    .trim()
+    .notEmpty()
+    .withMessage("Roll number is required")
+    .toUpperCase(),
+  ...validateTermQuery,
+];
+
+// ─── Roster Import Validation (multipart form fields) ───
+const validateRosterImport = [
+  body("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun must be true or false")
+    .toBoolean(),
+  body("subjectCode")
+    .optional({ values: "falsy" })
+    .trim()
+    .isAlphanumeric()
+    .withMessage("Subject code must be alphanumeric")
+    .toUpperCase(),
+  body("section")
+    .optional({ values: "falsy" })
+    .trim()
+    .isAlphanumeric()
+    .withMessage("Section must be alphanumeric")
+    .isLength({ max: 10 })
+    .withMessage("Section must be at most 10 characters")
+    .toUpperCase(),
+  body("term")
+    .optional({ values: "falsy" })
+    .trim()
+    .toUpperCase()
+    .matches(/^\d{4}-[A-Z]+$/)
+    .withMessage("Term must look like 2025-FALL"),
+  handleValidationErrors,
+];
+
+// ─── Timetable Validation ───
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Slot fields; optional on update, required on create
+ */
+function timetableSlotRules(optional) {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("dayOfWeek")
+      .isInt({ min: 0, max: 6 })
+      .withMessage("Day of week must be 0 (Sunday) to 6 (Saturday)")
+      .toInt(),
+    field("startTime")
+      .matches(TIME_OF_DAY)
+      .withMessage("Start time must be HH:MM"),
+    field("endTime").matches(TIME_OF_DAY).withMessage("End time must be HH:MM"),
+    field("startDate")
+      .isISO8601({ strict: true })
+      .withMessage("Start date must be a date (YYYY-MM-DD)"),
+    field("endDate")
+      .isISO8601({ strict: true })
+      .withMessage("End date must be a date (YYYY-MM-DD)"),
+    body("section")
+      .optional({ values: "falsy" })
+      .trim()
+      .isAlphanumeric()
+      .withMessage("Section must be alphanumeric")
+      .isLength({ max: 10 })
+      .withMessage("Section must be at most 10 characters")
+      .toUpperCase(),
+    body("room")
+      .optional({ values: "falsy" })
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Room must be at most 50 characters")
+      .escape(),
+    body("term")
+      .optional({ values: "falsy" })
+      .trim()
+      .toUpperCase()
+      .matches(/^\d{4}-[A-Z]+$/)
+      .withMessage("Term must look like 2025-FALL"),
+    body("teacherId")
+      .optional({ values: "falsy" })
+      .isMongoId()
+      .withMessage("Invalid teacher ID"),
+    body("autoOpen")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("autoOpen must be true or false"),
+  ];
+}
+
+const validateTimetableSlot = [
+  body("subjectCode")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject code is required")
+    .isAlphanumeric()
+    .withMessage("Subject code must be alphanumeric")
+    .toUpperCase(),
+  ...timetableSlotRules(false),
+  handleValidationErrors,
+];
+
+const validateTimetableSlotUpdate = [
+  param("id").isMongoId().withMessage("Invalid slot ID"),
+  ...timetableSlotRules(true),
+  handleValidationErrors,
+];
+
+const validateHoliday = [
+  body("date")
+    .notEmpty()
+    .withMessage("Date is required")
+    .isISO8601({ strict: true })
+    .withMessage("Date must be a date (YYYY-MM-DD)"),
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Holiday name is required")
+    .isLength({ max: 100 })
+    .withMessage("Holiday name must be at most 100 characters")
+    .escape(),
+  handleValidationErrors,
+];
+
+const validateClassroom = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Room name is required")
+    .isLength({ max: 50 })
+    .withMessage("Room name must be at most 50 characters")
+    .escape(),
+  body("latitude")
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90")
+    .toFloat(),
+  body("longitude")
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180")
+    .toFloat(),
+  body("radiusMeters")
+    .optional({ values: "null" })
+    .isInt({ min: 10, max: 5000 })
+    .withMessage("Radius must be 10-5000 metres")
+    .toInt(),
+  body("mode")
+    .optional({ values: "falsy" })
+    .isIn(["strict", "flag"])
+    .withMessage("Mode must be strict or flag"),
+  handleValidationErrors,
+];
+
+// ─── Admin Validation ───
+const validateObjectIdParam = [
+  param("id").isMongoId().withMessage("Invalid ID"),
+  handleValidationErrors,
+];
+
+const validateDepartment = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Department name is required")
+    .isLength({ max: 100 })
+    .withMessage("Department name must be at most 100 characters")
+    .escape(),
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("Department code is required")
+    .isAlphanumeric()
+    .withMessage("Department code must be alphanumeric")
+    .isLength({ max: 10 })
+    .withMessage("Department code must be at most 10 characters")
+    .toUpperCase(),
+  handleValidationErrors,
+];
+
+const subjectDetailRules = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage("Subject name must be at most 150 characters")
+    .escape(),
+  body("credits")
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 30 })
+    .withMessage("Credits must be between 0 and 30")
+    .toInt(),
+  body("teacherId")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Invalid teacher ID"),
+  body("sections")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Sections must be a list"),
+  body("sections.*")
+    .trim()
+    .isAlphanumeric()
+    .withMessage("Section must be alphanumeric")
+    .isLength({ max: 10 })
+    .withMessage("Section must be at most 10 characters")
+    .toUpperCase(),
+];
+
+const validateSubjectCreate = [
+  body("subjectCode")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject code is required")
+    .isAlphanumeric()
+    .withMessage("Subject code must be alphanumeric")
+    .toUpperCase(),
+  body("department")
+    .trim()
+    .notEmpty()
+    .withMessage("Department is required")
+    .escape(),
+  ...subjectDetailRules,
+  handleValidationErrors,
+];
+
+const validateSubjectUpdate = [
+  param("subjectCode")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject code is required")
+    .toUpperCase(),
+  body("department")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Department cannot be empty")
+    .escape(),
+  ...subjectDetailRules,
+  handleValidationErrors,
+];
+
+const validateTeacherAssignment = [
+  param("id").isMongoId().withMessage("Invalid teacher ID"),
+  body("subjectCodes").isArray().withMessage("Subject codes must be a list"),
+  body("subjectCodes.*")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject code cannot be empty")
+    .isAlphanumeric()
+    .withMessage("Subject code must be alphanumeric")
+    .toUpperCase(),
+  handleValidationErrors,
+];
+
+const subjectStaffParams = [
+  param("subjectCode")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject code is required")
+    .toUpperCase(),
+  param("userId").isMongoId().withMessage("Invalid teacher ID"),
+];
+
+const validateSubjectStaff = [
+  ...subjectStaffParams,
+  body("role")
+    .isIn(["instructor", "ta"])
+    .withMessage("Role must be instructor or ta"),
+  body("sections")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Sections must be a list"),
+  body("sections.*")
+    .trim()
+    .isAlphanumeric()
+    .withMessage("Section must be alphanumeric")
+    .toUpperCase(),
+  handleValidationErrors,
+];
+
+const validateSubjectStaffRemove = [
+  ...subjectStaffParams,
+  handleValidationErrors,
+];
+
+const validateUserQuery = [
+  query("role")
+    .optional({ values: "falsy" })
+    .isIn(["student", "teacher", "admin"])
+    .withMessage("Role must be student, teacher, or admin"),
+  query("q")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search must be at most 100 characters"),
+  query("department").optional().trim().escape(),
+  handleValidationErrors,
+];
+
+const validateUserUpdate = [
+  param("id").isMongoId().withMessage("Invalid user ID"),
+  body("department")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Department cannot be empty")
+    .escape(),
+  body("disabled")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Disabled must be true or false"),
+  handleValidationErrors,
+];
+
+const validateAdminCreate = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be 2-100 characters")
+    .escape(),
+  body("email")
+    .trim()
+    .notEmpty()
+    .withMessage("Email is required")
+    .isEmail()
+    .withMessage("Invalid email format")
+    .normalizeEmail(),
+  body("department")
+    .trim()
+    .notEmpty()
+    .withMessage("Department is required")
+    .escape(),
+  body("password")
+    .notEmpty()
+    .withMessage("Password is required")
+    .isLength({ min: 8 })
+    .withMessage("Admin passwords must be at least 8 characters"),
+  handleValidationErrors,
+];
+
 module.exports = {
   validateStudentRegister,
   validateTeacherRegister,
   validateStudentLogin,
   validateTeacherLogin,
+  validateAdminLogin,
   validateStudentProfileUpdate,
   validateTeacherProfileUpdate,
   validateAttendanceStart,
   validateAttendanceScan,
+  validateDeviceRegister,
+  validateQRImageQuery,
+  validateSessionAttempts,
+  validateScanAttemptQuery,
   validateSubjectCodeParam,
+  validateSessionIdParam,
+  validateRegisterExport,
+  validateSectionQuery,
+  validateTermQuery,
+  validateAttendanceOverrideAdd,
+  validateAttendanceOverrideChange,
+  validateAttendanceOverrideRemove,
+  validateScheduledStart,
+  validateSessionCancel,
+  validateLeaveRequest,
+  validateLeaveIdParam,
+  validateLeaveQueue,
+  validateLeaveDecision,
+  validateEnrollmentAdd,
+  validateEnrollmentUpdate,
+  validateEnrollmentRemove,
+  validateStudentRow,
+  validateRosterImport,
+  validateTimetableSlot,
+  validateTimetableSlotUpdate,
+  validateHoliday,
+  validateClassroom,
+  validateObjectIdParam,
+  validateDepartment,
+  validateSubjectCreate,
+  validateSubjectUpdate,
+  validateTeacherAssignment,
+  validateSubjectStaff,
+  validateSubjectStaffRemove,
+  validateUserQuery,
+  validateUserUpdate,
+  validateAdminCreate,
 };
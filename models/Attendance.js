@@ -2,11 +2,21 @@
  * Attendance Model
  * Records individual student attendance entries.
  * Linked to a specific session, subject, and student.
- * Compound unique index on (studentId, subjectCode, date) prevents
- * duplicate attendance per subject per day.
+ * Compound unique index on (studentId, sessionId) prevents duplicate
+ * attendance per session; a subject that meets more than once a day
+ * (e.g. lecture + lab) records each meeting separately.
+ * Each record carries a status (present, late, excused, absent, medical);
+ * see utils/attendancePolicy.js for the late cutoff and percentage weights.
+ * Records come from QR scans or from a teacher's manual override; overridden
+ * records carry who changed them and why (full trail in AttendanceAudit).
+ * Scans keep the location the student's browser shared and the registered
+ * device they came from; a scan accepted from outside the session's geofence
+ * or from an unregistered device is flagged for the teacher. A device marks
+ * attendance for at most one student per session.
  */
 
 const mongoose = require("mongoose");
+const { STATUSES } = require("../utils/attendancePolicy");
 
 const attendanceSchema = new mongoose.Schema(
   {
@@ -27,23 +37,79 @@ const attendanceSchema = new mongoose.Schema(
       required: true,
     },
     date: {
-      type: String, // YYYY-MM-DD format
+      type: String, // YYYY-MM-DD format (the session's date)
       required: true,
     },
     timestamp: {
       type: Date,
       default: Date.now,
     },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: "present",
+    },
+    source: {
+      type: String,
+      enum: ["scan", "manual"],
+      default: "scan",
+    },
+    // Set when a teacher adds or changes this record by hand
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    overrideReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    overriddenAt: {
+      type: Date,
+      default: null,
+    },
+    // Where the student scanned from, if their browser shared it
+    location: {
+      type: new mongoose.Schema(
+        { latitude: Number, longitude: Number, accuracy: Number },
+        { _id: false },
+      ),
+      default: null,
+    },
+    // Distance from the session's classroom (null = no geofence or location)
+    distanceMeters: {
+      type: Number,
+      default: null,
+    },
+    // Registered device the scan came from (null = manual or unregistered)
+    deviceId: {
+      type: String,
+      default: null,
+    },
+    // Set when a scan was accepted from outside the session's geofence or
+    // from an unregistered device; flagReason lists why
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    flagReason: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: true,
   },
 );
 
-// CRITICAL: Compound unique index to prevent duplicate attendance per student per subject per day
+// CRITICAL: Compound unique index to prevent duplicate attendance per student per session
+// (replaces the old per-day index; see scripts/migrate-attendance-sessions.js)
+attendanceSchema.index({ studentId: 1, sessionId: 1 }, { unique: true });
+// One device marks attendance for one student per session
 attendanceSchema.index(
-  { studentId: 1, subjectCode: 1, date: 1 },
-  { unique: true },
+  { sessionId: 1, deviceId: 1 },
+  { unique: true, partialFilterExpression: { deviceId: { $type: "string" } } },
 );
 
 // Additional indexes for queries
@@ -0,0 +1,69 @@
+/**
+ * AttendanceAudit Model
+ * Append-only trail of manual changes teachers make to attendance records.
+ * Every add, remove, or change records who made it, why, and the record's
+ * state before and after, so a revoked mark is still accounted for after the
+ * Attendance document itself is deleted.
+ */
+
+const mongoose = require("mongoose");
+
+const attendanceAuditSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["add", "remove", "change"],
+      required: true,
+    },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AttendanceSession",
+      required: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    subjectCode: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    date: {
+      type: String, // YYYY-MM-DD of the session
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, "A reason is required"],
+      trim: true,
+      maxlength: 500,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Snapshot of the relevant Attendance fields (null when absent)
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+// Indexes for per-session trails, student history and subject summaries
+attendanceAuditSchema.index({ sessionId: 1, createdAt: -1 });
+attendanceAuditSchema.index({ studentId: 1, createdAt: -1 });
+attendanceAuditSchema.index({ subjectCode: 1, studentId: 1 });
+
+module.exports = mongoose.model("AttendanceAudit", attendanceAuditSchema);
@@ -1,11 +1,25 @@
 /**
  * AttendanceSession Model
  * Represents an active attendance-taking session initiated by a teacher.
- * Contains session metadata and active status.
+ * Contains session metadata and active status. A session is held either for
+ * the whole subject or for one of its sections.
+ * Sessions are started by a teacher, or created ahead of time from the
+ * timetable (slotId set): a scheduled session has no startTime until it is
+ * opened, and one that is never held can be cancelled so it does not count.
+ * Open sessions close when stopped, when replaced by the teacher's next
+ * session, or automatically on timeout (see utils/sessionLifecycle.js); the
+ * way each session ended is recorded in endReason.
+ * A session held in a room with a saved location carries the room's geofence
+ * from when it opened; scans are checked against it (see utils/geofence.js).
  * Used to validate QR codes belong to an ongoing session.
  */
 
 const mongoose = require("mongoose");
+const Classroom = require("./Classroom");
+
+// How a session ended: stopped by the teacher, replaced by their next
+// session, past the maximum duration, idle too long, or at its timetabled end
+const END_REASONS = ["manual", "replaced", "timeout", "idle", "schedule"];
 
 const attendanceSessionSchema = new mongoose.Schema(
   {
@@ -20,10 +34,18 @@ const attendanceSessionSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Section the session is held for (null = every section)
+    section: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
     date: {
-      type: String, // YYYY-MM-DD format for easy day-level dedup
+      type: String, // YYYY-MM-DD format; a subject may hold several sessions a day
       required: true,
     },
+    // When the session was opened (null = scheduled, not opened yet)
     startTime: {
       type: Date,
       default: Date.now,
@@ -36,10 +58,70 @@ const attendanceSessionSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
-    // Track used nonces to prevent replay attacks
-    usedNonces: {
-      type: [String],
-      default: [],
+    endReason: {
+      type: String,
+      enum: END_REASONS,
+      default: null,
+    },
+    // Last scan, manual change, or connected projector view (for idle timeout)
+    lastActivityAt: {
+      type: Date,
+      default: null,
+    },
+    // Timetable slot the session was scheduled from (null = started by hand)
+    slotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TimetableSlot",
+      default: null,
+    },
+    scheduledStart: {
+      type: Date,
+      default: null,
+    },
+    scheduledEnd: {
+      type: Date,
+      default: null,
+    },
+    room: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Copy of the room's classroom fence when the session opened
+    // (null = no location check)
+    geofence: {
+      type: new mongoose.Schema(
+        {
+          latitude: Number,
+          longitude: Number,
+          radiusMeters: Number,
+          mode: { type: String, enum: Classroom.MODES },
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+    // Set when a scheduled class is called off without being held
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Minutes after startTime a scan still counts as present
+    // (null = LATE_CUTOFF_MINUTES policy default)
+    lateAfterMinutes: {
+      type: Number,
+      min: 0,
+      default: null,
     },
   },
   {
@@ -49,7 +131,40 @@ const attendanceSessionSchema = new mongoose.Schema(
 
 // Indexes for efficient queries
 attendanceSessionSchema.index({ subjectCode: 1, date: 1 });
+attendanceSessionSchema.index({ subjectCode: 1, section: 1 });
 attendanceSessionSchema.index({ teacherId: 1, active: 1 });
 attendanceSessionSchema.index({ active: 1 });
+// One session per slot occurrence
+attendanceSessionSchema.index(
+  { slotId: 1, scheduledStart: 1 },
+  { unique: true, partialFilterExpression: { slotId: { $type: "objectId" } } },
+);
+attendanceSessionSchema.index({ scheduledStart: 1 });
+
+/**
+ * Virtual: where the session stands —
+ * "cancelled", "live", "held", or "scheduled" (not opened yet)
+ */
+attendanceSessionSchema.virtual("state").get(function () {
+  if (this.cancelledAt) return "cancelled";
+  if (this.active) return "live";
+  if (this.startTime) return "held";
+  return "scheduled";
+});
+
+/**
+ * Static: filter for the sessions that count as classes held — not
+ * cancelled, and either opened or past their scheduled start
+ * @param {Date} [now]
+ * @returns {object} AttendanceSession filter
+ */
+attendanceSessionSchema.statics.countedFilter = function (now = new Date()) {
+  return {
+    cancelledAt: null,
+    $or: [{ startTime: { $ne: null } }, { scheduledStart: { $lte: now } }],
+  };
+};
+
+attendanceSessionSchema.statics.END_REASONS = END_REASONS;
 
 module.exports = mongoose.model("AttendanceSession", attendanceSessionSchema);
@@ -0,0 +1,61 @@
+/**
+ * AuthSession Model
+ * One login on one device. The browser holds the session's refresh token in
+ * an httpOnly cookie and trades it for short-lived access tokens, which name
+ * the session so they stop working as soon as it is revoked (see
+ * utils/authTokens.js). Only hashes of refresh tokens are stored; each
+ * refresh replaces the token, and the previous hash is kept to spot a stolen
+ * token being replayed. Sessions are deleted once they expire (TTL index).
+ */
+
+const mongoose = require("mongoose");
+
+const authSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the refresh token currently issued
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the token it replaced (null = never refreshed)
+    previousHash: {
+      type: String,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set on logout, "log out all devices", or a replayed refresh token
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    // Login lifetime; refreshing does not extend it
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthSession", authSessionSchema);
@@ -0,0 +1,62 @@
+/**
+ * Classroom Model
+ * A room's location for geofenced attendance: its position and the radius
+ * scans must come from. The name matches the room of timetable slots and
+ * sessions. When a session in the room opens it copies the fence (see
+ * utils/geofence.js); scans from outside it are either rejected ("strict")
+ * or accepted and flagged for the teacher ("flag"). A classroom without a
+ * mode of its own uses GEOFENCE_MODE.
+ */
+
+const mongoose = require("mongoose");
+
+const MODES = ["strict", "flag"];
+
+const classroomSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Room name is required"],
+      trim: true,
+      unique: true,
+      maxlength: [50, "Room name cannot exceed 50 characters"],
+    },
+    latitude: {
+      type: Number,
+      required: [true, "Latitude is required"],
+      min: -90,
+      max: 90,
+    },
+    longitude: {
+      type: Number,
+      required: [true, "Longitude is required"],
+      min: -180,
+      max: 180,
+    },
+    // How far from the position a scan may be, in metres
+    radiusMeters: {
+      type: Number,
+      min: 10,
+      max: 5000,
+      default: 50,
+    },
+    // null = GEOFENCE_MODE default
+    mode: {
+      type: String,
+      enum: MODES,
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+classroomSchema.statics.MODES = MODES;
+
+module.exports = mongoose.model("Classroom", classroomSchema);
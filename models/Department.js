@@ -0,0 +1,33 @@
+/**
+ * Department Model
+ * The departments users and subjects belong to. Users and subjects store the
+ * department by name, so renaming a department updates them as well
+ * (see routes/admin.js).
+ */
+
+const mongoose = require("mongoose");
+
+const departmentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Department name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [100, "Department name cannot exceed 100 characters"],
+    },
+    code: {
+      type: String,
+      required: [true, "Department code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [10, "Department code cannot exceed 10 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("Department", departmentSchema);
@@ -0,0 +1,43 @@
+/**
+ * Device Model
+ * A device bound to a student account for scanning. The identifier is
+ * generated and kept by the browser; the server signs it for the student
+ * when it is registered (see utils/deviceBinding.js), so a scan can prove it
+ * came from one of the account's own devices. A student may bind a limited
+ * number of devices; admins reset the bindings when a device is replaced.
+ */
+
+const mongoose = require("mongoose");
+
+const deviceSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    deviceId: {
+      type: String,
+      required: [true, "Device identifier is required"],
+      trim: true,
+    },
+    // Browser/platform description, to tell devices apart
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Device label cannot exceed 100 characters"],
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+deviceSchema.index({ studentId: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Device", deviceSchema);
@@ -0,0 +1,87 @@
+/**
+ * Enrollment Model
+ * Links a student to a subject for a given academic term, with an optional section.
+ * The roster of a subject is the set of its enrollments for the current term;
+ * scanning and attendance summaries are computed against this roster.
+ * Compound unique index on (studentId, subjectCode, term) prevents
+ * enrolling the same student twice in one term.
+ */
+
+const mongoose = require("mongoose");
+
+const enrollmentSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    subjectCode: {
+      type: String,
+      required: [true, "Subject code is required"],
+      trim: true,
+      uppercase: true,
+    },
+    section: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: "A",
+    },
+    term: {
+      type: String, // e.g. "2025-FALL"
+      required: [true, "Term is required"],
+      trim: true,
+      uppercase: true,
+    },
+    enrolledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One enrollment per student per subject per term
+enrollmentSchema.index(
+  { studentId: 1, subjectCode: 1, term: 1 },
+  { unique: true },
+);
+
+// Index for roster queries
+enrollmentSchema.index({ subjectCode: 1, term: 1, section: 1 });
+
+/**
+ * Static: the current academic term.
+ * Uses CURRENT_TERM from the environment if set, otherwise derives it from
+ * the date (January–June is SPRING, July–December is FALL).
+ * @param {Date} [date] - Date to derive the term from (defaults to now)
+ * @returns {string} Term identifier, e.g. "2025-FALL"
+ */
+enrollmentSchema.statics.currentTerm = function (date = new Date()) {
+  if (process.env.CURRENT_TERM) {
+    return process.env.CURRENT_TERM.trim().toUpperCase();
+  }
+  const half = date.getMonth() < 6 ? "SPRING" : "FALL";
+  return `${date.getFullYear()}-${half}`;
+};
+
+/**
+ * Static: the dates a term covers, matching how currentTerm derives terms.
+ * @param {string} term - Term identifier, e.g. "2025-FALL"
+ * @returns {{ from: string, to: string }|null} YYYY-MM-DD bounds; null for
+ *   terms not named by half-year (e.g. a custom CURRENT_TERM), which are
+ *   not bounded by date
+ */
+enrollmentSchema.statics.termDates = function (term) {
+  const match = /^(\d{4})-(SPRING|FALL)$/.exec(String(term).toUpperCase());
+  if (!match) return null;
+  const year = match[1];
+  return match[2] === "SPRING"
+    ? { from: `${year}-01-01`, to: `${year}-06-30` }
+    : { from: `${year}-07-01`, to: `${year}-12-31` };
+};
+
+module.exports = mongoose.model("Enrollment", enrollmentSchema);
@@ -0,0 +1,28 @@
+/**
+ * Holiday Model
+ * Dates on which no timetabled classes meet. Scheduled sessions are not
+ * created for holidays; sessions a teacher starts by hand are unaffected.
+ */
+
+const mongoose = require("mongoose");
+
+const holidaySchema = new mongoose.Schema(
+  {
+    date: {
+      type: String, // YYYY-MM-DD
+      required: [true, "Date is required"],
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Holiday name is required"],
+      trim: true,
+      maxlength: [100, "Holiday name cannot exceed 100 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("Holiday", holidaySchema);
@@ -0,0 +1,120 @@
+/**
+ * LeaveRequest Model
+ * A student's request to be excused from classes over a date range.
+ * A request may cover several subjects; each subject's teacher decides on
+ * their own subject independently. Approved subjects count the student as
+ * excused for every session in the range they did not otherwise attend.
+ * An optional supporting document (e.g. a medical note) is stored inline.
+ */
+
+const mongoose = require("mongoose");
+
+const subjectDecisionSchema = new mongoose.Schema(
+  {
+    subjectCode: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    decidedAt: {
+      type: Date,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+const leaveRequestSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fromDate: {
+      type: String, // YYYY-MM-DD, inclusive
+      required: true,
+    },
+    toDate: {
+      type: String, // YYYY-MM-DD, inclusive
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, "A reason is required"],
+      trim: true,
+      maxlength: 1000,
+    },
+    subjects: {
+      type: [subjectDecisionSchema],
+      validate: [(v) => v.length > 0, "At least one subject is required"],
+    },
+    attachment: {
+      filename: String,
+      mimetype: String,
+      size: Number,
+      data: { type: Buffer, select: false },
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes for the student's list, teacher queues and coverage lookups
+leaveRequestSchema.index({ studentId: 1, createdAt: -1 });
+leaveRequestSchema.index({ "subjects.subjectCode": 1, "subjects.status": 1 });
+
+/**
+ * Static: approved leave ranges for a subject, keyed by student.
+ * @param {string} subjectCode - Uppercase subject code
+ * @param {Array<ObjectId|string>} [studentIds] - Limit to these students
+ * @returns {Promise<Map<string, Array<{ fromDate: string, toDate: string }>>>}
+ */
+leaveRequestSchema.statics.approvedRanges = async function (
+  subjectCode,
+  studentIds,
+) {
+  const filter = {
+    subjects: { $elemMatch: { subjectCode, status: "approved" } },
+  };
+  if (studentIds) filter.studentId = { $in: studentIds };
+
+  const requests = await this.find(filter).select("studentId fromDate toDate");
+  const ranges = new Map();
+  for (const r of requests) {
+    const key = r.studentId.toString();
+    if (!ranges.has(key)) ranges.set(key, []);
+    ranges.get(key).push({ fromDate: r.fromDate, toDate: r.toDate });
+  }
+  return ranges;
+};
+
+/**
+ * Static: whether any of the given ranges covers a date
+ * @param {Array<{ fromDate: string, toDate: string }>} [ranges]
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+leaveRequestSchema.statics.covers = function (ranges, date) {
+  return (ranges || []).some((r) => r.fromDate <= date && date <= r.toDate);
+};
+
+module.exports = mongoose.model("LeaveRequest", leaveRequestSchema);
@@ -0,0 +1,74 @@
+/**
+ * ScanAttempt Model
+ * One entry per QR scan a student submits, accepted or rejected, with why it
+ * was rejected and the request details needed to look into complaints and
+ * proxy attendance (see utils/suspicion.js): where the scan came from (IP,
+ * claimed device, user agent), how old the QR frame was, and how far the
+ * student's clock was off. Entries are purged after the retention period
+ * (see utils/scanLog.js).
+ */
+
+const mongoose = require("mongoose");
+
+const scanAttemptSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Session the QR code belongs to (null = unreadable or unknown code)
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AttendanceSession",
+      default: null,
+    },
+    subjectCode: {
+      type: String,
+      uppercase: true,
+      default: null,
+    },
+    accepted: {
+      type: Boolean,
+      required: true,
+    },
+    // Why the scan was rejected (null = accepted)
+    reason: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    // Device identifier the browser sent (not necessarily registered)
+    deviceId: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    // Seconds between the QR frame being issued and the scan
+    qrAgeSeconds: {
+      type: Number,
+      default: null,
+    },
+    // Student's clock minus the server's when the scan arrived
+    // (null = the browser did not send its time)
+    clockSkewMs: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+scanAttemptSchema.index({ sessionId: 1, createdAt: 1 });
+scanAttemptSchema.index({ studentId: 1, createdAt: -1 });
+scanAttemptSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("ScanAttempt", scanAttemptSchema);
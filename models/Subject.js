@@ -1,11 +1,44 @@
 /**
  * Subject Model
- * Stores subject information including code, name, department, and teaching assignments.
- * Used to validate department-matching during attendance scanning.
+ * Stores subject information including code, name, department, credits,
+ * owner, teaching staff, and sections.
+ * The owner (teacherId) is the teacher responsible for the subject. The staff
+ * who may run its sessions are listed in `instructors`, each with a role:
+ * - instructor: full access to every section's sessions, roster and leave
+ * - ta: runs sessions for the sections they are limited to (all if none)
+ *   and manages the sessions they ran
+ * Teacher.subjectCodes mirrors `instructors` for quick per-teacher lookups.
+ * Subjects are managed by admins; teacher registration only creates new codes.
  */
 
 const mongoose = require("mongoose");
 
+const STAFF_ROLES = ["instructor", "ta"];
+
+const instructorSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: STAFF_ROLES,
+        message: "Role must be instructor or ta",
+      },
+      default: "instructor",
+    },
+    // Sections this person teaches; empty means every section
+    sections: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false },
+);
+
 const subjectSchema = new mongoose.Schema(
   {
     subjectCode: {
@@ -15,15 +48,37 @@ const subjectSchema = new mongoose.Schema(
       trim: true,
       uppercase: true,
     },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [150, "Subject name cannot exceed 150 characters"],
+      default: "",
+    },
     department: {
       type: String,
       required: [true, "Department is required"],
       trim: true,
     },
+    credits: {
+      type: Number,
+      min: [0, "Credits cannot be negative"],
+      max: [30, "Credits cannot exceed 30"],
+      default: null,
+    },
     teacherId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      default: null,
+    },
+    instructors: {
+      type: [instructorSchema],
+      default: [],
+    },
+    // Sections the subject is taught in (e.g. "A", "B", "LAB1");
+    // matches Enrollment.section
+    sections: {
+      type: [String],
+      default: [],
     },
   },
   {
@@ -35,5 +90,48 @@ const subjectSchema = new mongoose.Schema(
 subjectSchema.index({ subjectCode: 1 });
 subjectSchema.index({ teacherId: 1 });
 subjectSchema.index({ department: 1 });
+subjectSchema.index({ "instructors.userId": 1 });
+
+/**
+ * Instance method: the staff entry for a user, or null if they do not teach
+ * this subject
+ * @param {ObjectId|string} userId
+ * @returns {{ userId, role: string, sections: string[] }|null}
+ */
+subjectSchema.methods.staffEntry = function (userId) {
+  return (
+    this.instructors.find((i) => i.userId.toString() === userId.toString()) ||
+    null
+  );
+};
+
+/**
+ * Instance method: whether a user may run sessions for a section
+ * (section null = the whole subject, which only unrestricted staff may run)
+ * @param {ObjectId|string} userId
+ * @param {string|null} section
+ * @returns {boolean}
+ */
+subjectSchema.methods.canTeachSection = function (userId, section) {
+  const entry = this.staffEntry(userId);
+  if (!entry) return false;
+  if (!entry.sections.length) return true;
+  return !!section && entry.sections.includes(section);
+};
+
+/**
+ * Static: load a subject together with a user's staff entry on it.
+ * @param {string} subjectCode - Uppercase subject code
+ * @param {ObjectId|string} userId
+ * @returns {Promise<{ subject, staff }|null>} null if the subject does not
+ *   exist or the user does not teach it
+ */
+subjectSchema.statics.forStaff = async function (subjectCode, userId) {
+  const subject = await this.findOne({ subjectCode });
+  const staff = subject && subject.staffEntry(userId);
+  return staff ? { subject, staff } : null;
+};
+
+subjectSchema.statics.STAFF_ROLES = STAFF_ROLES;
 
 module.exports = mongoose.model("Subject", subjectSchema);
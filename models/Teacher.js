@@ -24,15 +24,11 @@ const teacherSchema = new mongoose.Schema(
       },
       required: [true, "Professor type is required"],
     },
+    // Subjects this teacher is assigned to. Registration requires at least
+    // one; admins may later leave a teacher with none.
     subjectCodes: {
       type: [String],
-      required: [true, "At least one subject code is required"],
-      validate: {
-        validator: function (arr) {
-          return arr.length > 0;
-        },
-        message: "At least one subject code must be provided",
-      },
+      default: [],
     },
   },
   {
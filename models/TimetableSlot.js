@@ -0,0 +1,116 @@
+/**
+ * TimetableSlot Model
+ * A recurring weekly class of a subject (or one of its sections): a day of
+ * the week, start and end times, a room, and the dates of the term it runs
+ * in. Slots do not meet on holidays (see Holiday).
+ * Each day's classes are created as scheduled AttendanceSessions from the
+ * slots (see utils/timetable.js); autoOpen slots also open and close their
+ * sessions on time. Times are in the server's local time.
+ */
+
+const mongoose = require("mongoose");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const timetableSlotSchema = new mongoose.Schema(
+  {
+    subjectCode: {
+      type: String,
+      required: [true, "Subject code is required"],
+      trim: true,
+      uppercase: true,
+    },
+    // Section the class is for (null = every section)
+    section: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    // 0 = Sunday ... 6 = Saturday
+    dayOfWeek: {
+      type: Number,
+      required: [true, "Day of week is required"],
+      min: 0,
+      max: 6,
+    },
+    startTime: {
+      type: String, // HH:MM
+      required: [true, "Start time is required"],
+      match: [TIME_PATTERN, "Start time must be HH:MM"],
+    },
+    endTime: {
+      type: String, // HH:MM
+      required: [true, "End time is required"],
+      match: [TIME_PATTERN, "End time must be HH:MM"],
+    },
+    room: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Room cannot exceed 50 characters"],
+      default: null,
+    },
+    term: {
+      type: String,
+      required: [true, "Term is required"],
+      trim: true,
+      uppercase: true,
+    },
+    // Term teaching dates, inclusive (YYYY-MM-DD)
+    startDate: {
+      type: String,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: String,
+      required: [true, "End date is required"],
+    },
+    // Staff member who normally runs the class
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Open the session at the start time and close it at the end time
+    autoOpen: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+timetableSlotSchema.index({ subjectCode: 1, dayOfWeek: 1 });
+timetableSlotSchema.index({ dayOfWeek: 1, startDate: 1, endDate: 1 });
+
+/**
+ * Whether the slot meets on a date (ignoring holidays)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+timetableSlotSchema.methods.meetsOn = function (date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return (
+    new Date(year, month - 1, day).getDay() === this.dayOfWeek &&
+    this.startDate <= date &&
+    date <= this.endDate
+  );
+};
+
+/**
+ * A time of day on a date, in server local time
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {Date}
+ */
+timetableSlotSchema.statics.at = function (date, time) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+};
+
+timetableSlotSchema.statics.TIME_PATTERN = TIME_PATTERN;
+
+module.exports = mongoose.model("TimetableSlot", timetableSlotSchema);
@@ -0,0 +1,38 @@
+/**
+ * UsedNonce Model
+ * Records each consumed QR frame nonce so a frame cannot be replayed (see
+ * utils/nonces.js). In "single" mode a frame is consumed once for everyone
+ * (studentId is null); in "shared" mode each student consumes it once.
+ * Entries expire shortly after the frame itself does (TTL index).
+ */
+
+const mongoose = require("mongoose");
+
+const usedNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+  },
+  // Student who consumed the frame (null = the frame is used up for everyone)
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AttendanceSession",
+    required: true,
+  },
+  // When MongoDB may delete the entry (the frame can no longer be scanned)
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Insert-if-absent key: a nonce is consumed once per student (or once overall)
+usedNonceSchema.index({ nonce: 1, studentId: 1 }, { unique: true });
+usedNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UsedNonce", usedNonceSchema);
@@ -1,7 +1,9 @@
 /**
  * User Model
- * Base user schema shared by both Students and Teachers.
+ * Base user schema shared by Students, Teachers and Admins.
  * Stores core identity fields: name, email/rollno, role, department, and hashed password.
+ * Admins can disable an account; passwordChangedAt invalidates tokens issued
+ * before the last password change.
  */
 
 const mongoose = require("mongoose");
@@ -33,7 +35,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["student", "teacher"],
+      enum: ["student", "teacher", "admin"],
       required: [true, "Role is required"],
     },
     department: {
@@ -46,6 +48,14 @@ const userSchema = new mongoose.Schema(
       required: [true, "Password is required"],
       minlength: [6, "Password must be at least 6 characters"],
     },
+    disabled: {
+      type: Boolean,
+      default: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -59,7 +69,8 @@ userSchema.index({ rollNumber: 1 });
 
 /**
  * Pre-save hook: hash password before storing
- * Only hashes if the password field has been modified
+ * Only hashes if the password field has been modified; changing an existing
+ * password also records passwordChangedAt
  */
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -67,6 +78,7 @@ userSchema.pre("save", async function (next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -2,10 +2,17 @@
  * API Service Layer
  * Centralized HTTP client for all backend API calls.
  * Handles authentication headers, error responses, and token management.
+ *
+ * Access tokens are short-lived: a request answered with 401 trades the
+ * refresh token cookie (sent by the browser, unreadable here) for a new
+ * access token and is retried once.
  */
 
 const API_BASE = "/api";
 
+// Endpoints whose 401 is final (bad credentials, ended session): no refresh
+const NO_REFRESH_ENDPOINT = /^\/auth\/(?:\w+\/)?(?:login|register|refresh)$/;
+
 class ApiService {
   /**
    * Get stored JWT token
@@ -31,6 +38,51 @@ class ApiService {
     localStorage.removeItem("activeSession");
   }
 
+  /**
+   * Trade the refresh token cookie for a new access token. Concurrent
+   * callers share one refresh.
+   * @returns {Promise<boolean>} Whether a new access token was stored
+   */
+  static refreshToken() {
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        try {
+          const response = await fetch(`${API_BASE}/auth/refresh`, {
+            method: "POST",
+          });
+          const data = await response.json().catch(() => ({}));
+          if (!response.ok || !data.token) return false;
+          localStorage.setItem("token", data.token);
+          return true;
+        } finally {
+          this.refreshing = null;
+        }
+      })();
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * End this device's session on the server and clear stored auth data
+   */
+  static async logout() {
+    try {
+      await fetch(`${API_BASE}/auth/logout`, { method: "POST" });
+    } catch (error) {
+      // Offline: the session still expires on its own
+    }
+    this.clearAuth();
+  }
+
+  /**
+   * End the user's sessions on every device, this one included
+   */
+  static async logoutAllDevices() {
+    const result = await this.request("POST", "/auth/logout-all");
+    this.clearAuth();
+    return result;
+  }
+
   /**
    * Get stored user data
    */
@@ -46,6 +98,48 @@ class ApiService {
     return !!this.getToken();
   }
 
+  /**
+   * This browser's device identifier, created on first use. It outlives
+   * logins (clearAuth keeps it) so the device stays bound to its accounts.
+   */
+  static getDeviceId() {
+    let deviceId = localStorage.getItem("deviceId");
+    if (!deviceId) {
+      const bytes = crypto.getRandomValues(new Uint8Array(16));
+      deviceId = Array.from(bytes, (b) => b.toString(16).padStart(2, "0"))
+        .join("")
+        .replace(/(.{8})(.{4})(.{4})(.{4})/, "$1-$2-$3-$4-");
+      localStorage.setItem("deviceId", deviceId);
+    }
+    return deviceId;
+  }
+
+  /**
+   * This device's registration for the signed-in student: { id, token }.
+   * Registers the device on first use, or again with refresh (after an
+   * admin reset); token is null if registration is refused (e.g. the account
+   * has reached its device limit).
+   */
+  static async getDevice(refresh = false) {
+    const user = this.getUser();
+    const id = this.getDeviceId();
+    const tokens = JSON.parse(localStorage.getItem("deviceTokens") || "{}");
+    if (!user || (tokens[user.id] && !refresh)) {
+      return { id, token: user ? tokens[user.id] : null };
+    }
+
+    try {
+      const result = await this.registerDevice(id);
+      tokens[user.id] = result.token;
+      return { id, token: result.token };
+    } catch (error) {
+      delete tokens[user.id];
+      return { id, token: null, error: error.message };
+    } finally {
+      localStorage.setItem("deviceTokens", JSON.stringify(tokens));
+    }
+  }
+
   /**
    * Build request headers with optional auth token
    */
@@ -60,15 +154,22 @@ class ApiService {
 
   /**
    * Generic HTTP request handler
+   * Accepts a plain object (sent as JSON) or FormData (sent as multipart).
    */
-  static async request(method, endpoint, body = null) {
+  static async request(method, endpoint, body = null, retried = false) {
+    const isForm = body instanceof FormData;
     const options = {
       method,
       headers: this.getHeaders(),
     };
 
+    if (isForm) {
+      // Let the browser set the multipart boundary
+      delete options.headers["Content-Type"];
+    }
+
     if (body && method !== "GET") {
-      options.body = JSON.stringify(body);
+      options.body = isForm ? body : JSON.stringify(body);
     }
 
     try {
@@ -76,6 +177,16 @@ class ApiService {
       const data = await response.json();
 
       if (!response.ok) {
+        // Expired access token: refresh it and try again
+        if (
+          response.status === 401 &&
+          !retried &&
+          !NO_REFRESH_ENDPOINT.test(endpoint) &&
+          (await this.refreshToken())
+        ) {
+          return this.request(method, endpoint, body, true);
+        }
+
         // Auto-logout on auth errors
         if (response.status === 401) {
           this.clearAuth();
@@ -100,6 +211,141 @@ class ApiService {
     }
   }
 
+  /**
+   * Open a Server-Sent Events stream with auth headers.
+   * Uses fetch instead of EventSource so the Bearer token can be sent.
+   * Reconnects automatically, resuming from the last received event id.
+   *
+   * @param {string} endpoint - API endpoint (e.g., "/attendance/qr/stream")
+   * @param {object} handlers - { [eventName]: fn(data), onError: fn(error) }
+   * @returns {object} Handle with a close() method
+   */
+  static openStream(endpoint, handlers) {
+    const controller = { closed: false, abort: null };
+    let lastEventId = null;
+    let retryDelay = 2000;
+    let refreshed = false; // access token already refreshed for this attempt
+
+    const dispatch = (block) => {
+      let event = "message";
+      let data = "";
+      block.split("\n").forEach((line) => {
+        if (line.startsWith(":")) return; // Heartbeat comment
+        const idx = line.indexOf(":");
+        const field = idx === -1 ? line : line.slice(0, idx);
+        const value = idx === -1 ? "" : line.slice(idx + 1).replace(/^ /, "");
+        if (field === "event") event = value;
+        else if (field === "data") data += value;
+        else if (field === "id") lastEventId = value;
+        else if (field === "retry") retryDelay = parseInt(value) || retryDelay;
+      });
+      if (data && handlers[event]) {
+        handlers[event](JSON.parse(data));
+      }
+      if (event === "ended") controller.closed = true;
+    };
+
+    const connect = async () => {
+      const abort = new AbortController();
+      controller.abort = abort;
+      const headers = this.getHeaders();
+      if (lastEventId !== null) headers["Last-Event-ID"] = lastEventId;
+
+      try {
+        const response = await fetch(`${API_BASE}${endpoint}`, {
+          headers,
+          signal: abort.signal,
+        });
+
+        // Reconnecting after the access token expired
+        if (
+          response.status === 401 &&
+          !refreshed &&
+          (await this.refreshToken())
+        ) {
+          refreshed = true;
+          return connect();
+        }
+        refreshed = false;
+
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          controller.closed = true;
+          if (handlers.onError) {
+            handlers.onError(new Error(data.message || "Stream failed"));
+          }
+          return;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = "";
+
+        while (!controller.closed) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          let boundary;
+          while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+          }
+        }
+      } catch (error) {
+        if (error.name === "AbortError") return;
+      }
+
+      // Connection dropped — reconnect and resume
+      if (!controller.closed) {
+        setTimeout(connect, retryDelay);
+      }
+    };
+
+    connect();
+
+    return {
+      close() {
+        controller.closed = true;
+        if (controller.abort) controller.abort.abort();
+      },
+    };
+  }
+
+  /**
+   * Download a file from an authenticated endpoint and save it in the browser.
+   * The filename is taken from the Content-Disposition header when present.
+   */
+  static async download(endpoint, fallbackName, retried = false) {
+    let response;
+    try {
+      response = await fetch(`${API_BASE}${endpoint}`, {
+        headers: this.getHeaders(),
+      });
+    } catch (error) {
+      throw new Error("Network error. Please check your connection.");
+    }
+
+    if (response.status === 401 && !retried && (await this.refreshToken())) {
+      return this.download(endpoint, fallbackName, true);
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || "Download failed");
+    }
+
+    const disposition = response.headers.get("Content-Disposition") || "";
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await response.blob();
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+
   // ─── Auth APIs ───
   static registerStudent(data) {
     return this.request("POST", "/auth/student/register", data);
@@ -117,6 +363,10 @@ class ApiService {
     return this.request("POST", "/auth/teacher/login", data);
   }
 
+  static loginAdmin(data) {
+    return this.request("POST", "/auth/admin/login", data);
+  }
+
   // ─── Profile APIs ───
   static getStudentProfile() {
     return this.request("GET", "/profile/student");
@@ -135,20 +385,96 @@ class ApiService {
   }
 
   // ─── Attendance APIs ───
-  static startAttendance(subjectCode) {
-    return this.request("POST", "/attendance/start", { subjectCode });
+  static startAttendance(subjectCode, options = {}) {
+    return this.request("POST", "/attendance/start", {
+      subjectCode,
+      ...options,
+    });
   }
 
   static stopAttendance() {
     return this.request("POST", "/attendance/stop");
   }
 
-  static getCurrentQR() {
-    return this.request("GET", "/attendance/qr/current");
+  static startScheduledSession(sessionId, options = {}) {
+    return this.request(
+      "POST",
+      `/attendance/session/${encodeURIComponent(sessionId)}/start`,
+      options,
+    );
+  }
+
+  static cancelScheduledSession(sessionId, reason) {
+    return this.request(
+      "POST",
+      `/attendance/session/${encodeURIComponent(sessionId)}/cancel`,
+      { reason },
+    );
+  }
+
+  /**
+   * Query string for QR image options
+   * @param {object} options - { format: "png"|"svg", size, margin, dark, light }
+   */
+  static qrImageQuery(options = {}) {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      // margin may legitimately be 0
+      if (value !== undefined && value !== null && value !== "") {
+        params.set(key, value);
+      }
+    });
+    return params.toString() ? `?${params}` : "";
+  }
+
+  static getCurrentQR(options = {}) {
+    return this.request(
+      "GET",
+      `/attendance/qr/current${this.qrImageQuery(options)}`,
+    );
   }
 
-  static scanAttendance(qrPayload) {
-    return this.request("POST", "/attendance/scan", { qrPayload });
+  static streamQR(handlers, options = {}) {
+    return this.openStream(
+      `/attendance/qr/stream${this.qrImageQuery(options)}`,
+      handlers,
+    );
+  }
+
+  /**
+   * Measure the server's clock against this device's (clockOffset, ms),
+   * assuming the reply took half the round trip
+   */
+  static async syncClock() {
+    const sentAt = Date.now();
+    const { serverTime } = await this.request("GET", "/time");
+    const receivedAt = Date.now();
+    this.clockOffset = serverTime + (receivedAt - sentAt) / 2 - receivedAt;
+    return this.clockOffset;
+  }
+
+  /**
+   * Current server time in ms (this device's clock until synced)
+   */
+  static serverNow() {
+    return Date.now() + (this.clockOffset || 0);
+  }
+
+  static getQRKeys() {
+    return this.request("GET", "/attendance/qr/keys");
+  }
+
+  static async scanAttendance(qrPayload, location = null) {
+    const { id, token } = await this.getDevice();
+    return this.request("POST", "/attendance/scan", {
+      qrPayload,
+      location,
+      device: { id, token },
+      // Logged with the attempt to spot wrong device clocks
+      clientTime: Date.now(),
+      clockOffset:
+        this.clockOffset != null ? Math.round(this.clockOffset) : null,
+    });
   }
 
   static getStudentAttendance(subjectCode) {
@@ -158,10 +484,22 @@ class ApiService {
     );
   }
 
-  static getSubjectSummary(subjectCode) {
+  static getSubjectSummary(subjectCode, section = "") {
+    const query = section ? `?section=${encodeURIComponent(section)}` : "";
     return this.request(
       "GET",
-      `/attendance/subject/${encodeURIComponent(subjectCode)}/summary`,
+      `/attendance/subject/${encodeURIComponent(subjectCode)}/summary${query}`,
+    );
+  }
+
+  static exportRegister(subjectCode, format, { from, to, section } = {}) {
+    const params = new URLSearchParams({ format });
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    if (section) params.set("section", section);
+    return this.download(
+      `/attendance/subject/${encodeURIComponent(subjectCode)}/export?${params}`,
+      `attendance-${subjectCode}.${format}`,
     );
   }
 
@@ -176,4 +514,329 @@ class ApiService {
   static getTeacherSessions() {
     return this.request("GET", "/attendance/teacher/sessions");
   }
+
+  static getSessionRegister(sessionId) {
+    return this.request(
+      "GET",
+      `/attendance/session/${encodeURIComponent(sessionId)}/register`,
+    );
+  }
+
+  static addAttendanceOverride(sessionId, data) {
+    return this.request(
+      "POST",
+      `/attendance/session/${encodeURIComponent(sessionId)}/attendance`,
+      data,
+    );
+  }
+
+  static changeAttendanceOverride(sessionId, rollNumber, data) {
+    return this.request(
+      "PUT",
+      `/attendance/session/${encodeURIComponent(sessionId)}/attendance/${encodeURIComponent(rollNumber)}`,
+      data,
+    );
+  }
+
+  static revokeAttendance(sessionId, rollNumber, reason) {
+    return this.request(
+      "DELETE",
+      `/attendance/session/${encodeURIComponent(sessionId)}/attendance/${encodeURIComponent(rollNumber)}`,
+      { reason },
+    );
+  }
+
+  static getSessionAudit(sessionId) {
+    return this.request(
+      "GET",
+      `/attendance/session/${encodeURIComponent(sessionId)}/audit`,
+    );
+  }
+
+  static getSessionAttempts(sessionId, filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    const query = params.toString() ? `?${params}` : "";
+    return this.request(
+      "GET",
+      `/attendance/session/${encodeURIComponent(sessionId)}/attempts${query}`,
+    );
+  }
+
+  static getSessionSuspicions(sessionId) {
+    return this.request(
+      "GET",
+      `/attendance/session/${encodeURIComponent(sessionId)}/suspicions`,
+    );
+  }
+
+  // ─── Leave Request APIs ───
+  static submitLeaveRequest(formData) {
+    return this.request("POST", "/leave", formData);
+  }
+
+  static getStudentLeaveRequests() {
+    return this.request("GET", "/leave/student");
+  }
+
+  static withdrawLeaveRequest(id) {
+    return this.request("DELETE", `/leave/${encodeURIComponent(id)}`);
+  }
+
+  static getTeacherLeaveRequests(status = "") {
+    const query = status ? `?status=${encodeURIComponent(status)}` : "";
+    return this.request("GET", `/leave/teacher${query}`);
+  }
+
+  static decideLeaveRequest(id, data) {
+    return this.request(
+      "PUT",
+      `/leave/${encodeURIComponent(id)}/decision`,
+      data,
+    );
+  }
+
+  static downloadLeaveAttachment(id, filename) {
+    return this.download(
+      `/leave/${encodeURIComponent(id)}/attachment`,
+      filename,
+    );
+  }
+
+  // ─── Timetable APIs ───
+  static getTodayClasses() {
+    return this.request("GET", "/timetable/today");
+  }
+
+  static getTimetable(subjectCode) {
+    return this.request(
+      "GET",
+      `/timetable/subject/${encodeURIComponent(subjectCode)}`,
+    );
+  }
+
+  static createTimetableSlot(data) {
+    return this.request("POST", "/timetable/slots", data);
+  }
+
+  static updateTimetableSlot(id, data) {
+    return this.request(
+      "PUT",
+      `/timetable/slots/${encodeURIComponent(id)}`,
+      data,
+    );
+  }
+
+  static deleteTimetableSlot(id) {
+    return this.request("DELETE", `/timetable/slots/${encodeURIComponent(id)}`);
+  }
+
+  static getHolidays() {
+    return this.request("GET", "/timetable/holidays");
+  }
+
+  static addHoliday(data) {
+    return this.request("POST", "/timetable/holidays", data);
+  }
+
+  static deleteHoliday(id) {
+    return this.request(
+      "DELETE",
+      `/timetable/holidays/${encodeURIComponent(id)}`,
+    );
+  }
+
+  // ─── Device APIs ───
+  static getDevices() {
+    return this.request("GET", "/devices");
+  }
+
+  static registerDevice(deviceId) {
+    const platform = navigator.userAgentData
+      ? navigator.userAgentData.platform
+      : navigator.platform;
+    return this.request("POST", "/devices", {
+      deviceId,
+      label:
+        (platform || "Unknown") + (navigator.maxTouchPoints ? " (touch)" : ""),
+    });
+  }
+
+  // ─── Classroom APIs ───
+  static getClassrooms() {
+    return this.request("GET", "/classrooms");
+  }
+
+  static saveClassroom(classroom) {
+    return this.request("POST", "/classrooms", classroom);
+  }
+
+  static deleteClassroom(id) {
+    return this.request("DELETE", `/classrooms/${encodeURIComponent(id)}`);
+  }
+
+  // ─── Enrollment APIs ───
+  static getStudentEnrollments() {
+    return this.request("GET", "/enrollment/student");
+  }
+
+  static getRoster(subjectCode, term = "") {
+    const query = term ? `?term=${encodeURIComponent(term)}` : "";
+    return this.request(
+      "GET",
+      `/enrollment/${encodeURIComponent(subjectCode)}${query}`,
+    );
+  }
+
+  static enrollStudents(subjectCode, data) {
+    return this.request(
+      "POST",
+      `/enrollment/${encodeURIComponent(subjectCode)}`,
+      data,
+    );
+  }
+
+  static updateEnrollmentSection(subjectCode, rollNumber, section, term = "") {
+    const query = term ? `?term=${encodeURIComponent(term)}` : "";
+    return this.request(
+      "PUT",
+      `/enrollment/${encodeURIComponent(subjectCode)}/${encodeURIComponent(rollNumber)}${query}`,
+      { section },
+    );
+  }
+
+  static importRoster(formData) {
+    return this.request("POST", "/enrollment/import", formData);
+  }
+
+  static removeEnrollment(subjectCode, rollNumber, term = "") {
+    const query = term ? `?term=${encodeURIComponent(term)}` : "";
+    return this.request(
+      "DELETE",
+      `/enrollment/${encodeURIComponent(subjectCode)}/${encodeURIComponent(rollNumber)}${query}`,
+    );
+  }
+
+  // ─── Admin APIs ───
+  static getAdminOverview() {
+    return this.request("GET", "/admin/overview");
+  }
+
+  static getDepartments() {
+    return this.request("GET", "/admin/departments");
+  }
+
+  static createDepartment(data) {
+    return this.request("POST", "/admin/departments", data);
+  }
+
+  static updateDepartment(id, data) {
+    return this.request(
+      "PUT",
+      `/admin/departments/${encodeURIComponent(id)}`,
+      data,
+    );
+  }
+
+  static deleteDepartment(id) {
+    return this.request(
+      "DELETE",
+      `/admin/departments/${encodeURIComponent(id)}`,
+    );
+  }
+
+  static getAdminSubjects() {
+    return this.request("GET", "/admin/subjects");
+  }
+
+  static createSubject(data) {
+    return this.request("POST", "/admin/subjects", data);
+  }
+
+  static updateSubject(subjectCode, data) {
+    return this.request(
+      "PUT",
+      `/admin/subjects/${encodeURIComponent(subjectCode)}`,
+      data,
+    );
+  }
+
+  static deleteSubject(subjectCode) {
+    return this.request(
+      "DELETE",
+      `/admin/subjects/${encodeURIComponent(subjectCode)}`,
+    );
+  }
+
+  static setTeacherSubjects(teacherId, subjectCodes) {
+    return this.request(
+      "PUT",
+      `/admin/teachers/${encodeURIComponent(teacherId)}/subjects`,
+      { subjectCodes },
+    );
+  }
+
+  static getUsers(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    const query = params.toString() ? `?${params}` : "";
+    return this.request("GET", `/admin/users${query}`);
+  }
+
+  static updateUser(id, data) {
+    return this.request("PUT", `/admin/users/${encodeURIComponent(id)}`, data);
+  }
+
+  static resetUserPassword(id) {
+    return this.request(
+      "POST",
+      `/admin/users/${encodeURIComponent(id)}/reset-password`,
+    );
+  }
+
+  static getScanAttempts(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    const query = params.toString() ? `?${params}` : "";
+    return this.request("GET", `/admin/scan-attempts${query}`);
+  }
+
+  static getUserDevices(id) {
+    return this.request(
+      "GET",
+      `/admin/users/${encodeURIComponent(id)}/devices`,
+    );
+  }
+
+  static resetUserDevices(id) {
+    return this.request(
+      "DELETE",
+      `/admin/users/${encodeURIComponent(id)}/devices`,
+    );
+  }
+
+  static setSubjectStaff(subjectCode, userId, data) {
+    return this.request(
+      "PUT",
+      `/admin/subjects/${encodeURIComponent(subjectCode)}/staff/${encodeURIComponent(userId)}`,
+      data,
+    );
+  }
+
+  static removeSubjectStaff(subjectCode, userId) {
+    return this.request(
+      "DELETE",
+      `/admin/subjects/${encodeURIComponent(subjectCode)}/staff/${encodeURIComponent(userId)}`,
+    );
+  }
+
+  static createAdmin(data) {
+    return this.request("POST", "/admin/users/admin", data);
+  }
 }
@@ -9,7 +9,7 @@ class Router {
   constructor() {
     this.routes = {};
     this.currentScanner = null;
-    this.qrInterval = null;
+    this.qrStream = null;
 
     window.addEventListener("hashchange", () => this.route());
   }
@@ -53,9 +53,9 @@ class Router {
       this.currentScanner.stop();
       this.currentScanner = null;
     }
-    if (this.qrInterval) {
-      clearInterval(this.qrInterval);
-      this.qrInterval = null;
+    if (this.qrStream) {
+      this.qrStream.close();
+      this.qrStream = null;
     }
   }
 }
@@ -173,9 +173,9 @@ function toggleMobileNav() {
   if (links) links.classList.toggle("nav-open");
 }
 
-function logout() {
+async function logout() {
   router.cleanup();
-  ApiService.clearAuth();
+  await ApiService.logout();
   router.navigate("/");
   showToast("Logged out successfully.", "success");
 }
@@ -641,7 +641,11 @@ async function startScanning() {
       '<span class="pulse-dot success"></span> QR Code detected! Verifying...';
 
     try {
-      const result = await ApiService.scanAttendance(data);
+      const problem = await QRScanner.preverify(data);
+      if (problem) throw new Error(problem);
+
+      const location = await QRScanner.getLocation();
+      const result = await ApiService.scanAttendance(data, location);
       document.getElementById("scanResult").style.display = "block";
       document.getElementById("scanResult").innerHTML = `
         <div class="result-card result-success">
@@ -1000,7 +1004,7 @@ async function loadTeacherDashboard() {
       sessionsList.innerHTML = sessionsResult.sessions
         .map(
           (s) => `
-        <div class="activity-item">
+        <div class="activity-item" onclick="window.location.href = '/teacher-session.html?id=${s._id}'">
           <div class="activity-dot active"></div>
           <div class="activity-info">
             <div class="activity-subject">${s.subjectCode}</div>
@@ -1060,7 +1064,7 @@ router.on("/teacher/session", () => {
             <img id="qrImage" class="qr-image" alt="QR Code" />
             <div class="qr-refresh-ring" id="qrRefreshRing"></div>
           </div>
-          <p class="qr-hint">QR refreshes every 2 seconds • Ask students to scan</p>
+          <p class="qr-hint">QR refreshes automatically • Ask students to scan</p>
           <div class="qr-timer" id="qrTimer">Session active: <span id="sessionDuration">0:00</span></div>
         </div>
       </div>
@@ -1154,27 +1158,24 @@ function updateQRImage(imageDataUrl) {
 function startQRRefresh() {
   stopQRRefresh();
 
-  // Fetch new QR every 2 seconds
-  router.qrInterval = setInterval(async () => {
-    try {
-      const result = await ApiService.getCurrentQR();
-      if (result.success) {
-        updateQRImage(result.qr.image);
-      }
-    } catch (error) {
-      if (error.message.includes("No active")) {
-        hideQRDisplay();
-        stopQRRefresh();
-        stopSessionTimer();
-      }
-    }
-  }, 2000);
+  // Server rotates the QR and pushes each new frame over SSE
+  const endSession = () => {
+    router.qrStream = null;
+    hideQRDisplay();
+    stopSessionTimer();
+  };
+
+  router.qrStream = ApiService.streamQR({
+    qr: (frame) => updateQRImage(frame.image),
+    ended: endSession,
+    onError: endSession,
+  });
 }
 
 function stopQRRefresh() {
-  if (router.qrInterval) {
-    clearInterval(router.qrInterval);
-    router.qrInterval = null;
+  if (router.qrStream) {
+    router.qrStream.close();
+    router.qrStream = null;
   }
 }
 
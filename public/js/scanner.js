@@ -5,6 +5,13 @@
  *
  * Note: We use a simple interval-based scanning approach that reads frames
  * from the video feed and attempts to decode QR codes.
+ *
+ * Scans are sent with the device's location (QRScanner.getLocation) so
+ * geofenced sessions can check the student is in the classroom.
+ * When the server signs QR frames with Ed25519, QRScanner.preverify checks a
+ * frame's signature and age against the published keys before it is
+ * submitted, so fakes and stale photos fail without a round trip. Ages are
+ * measured in server time: the scanner syncs with /api/time when it starts.
  */
 
 class QRScanner {
@@ -36,6 +43,10 @@ class QRScanner {
       this.video.setAttribute("playsinline", true);
       await this.video.play();
 
+      // Frame ages are judged in server time (an unsynced clock is assumed
+      // to be right)
+      ApiService.syncClock().catch(() => {});
+
       this.scanning = true;
       this.scan();
 
@@ -125,6 +136,161 @@ class QRScanner {
     this.ctx.stroke();
   }
 
+  /**
+   * The device's current location, for geofenced sessions. Resolves to
+   * { latitude, longitude, accuracy }, or null if location is unavailable
+   * or the student declines to share it (never rejects).
+   */
+  static getLocation(timeout = 10000) {
+    return new Promise((resolve) => {
+      if (!navigator.geolocation) return resolve(null);
+      navigator.geolocation.getCurrentPosition(
+        (position) =>
+          resolve({
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+          }),
+        () => resolve(null),
+        { enableHighAccuracy: true, maximumAge: 30000, timeout },
+      );
+    });
+  }
+
+  /**
+   * The server's QR verification keys and validity settings, cached for
+   * 10 minutes (or refreshed on demand)
+   */
+  static async verificationKeys(refresh = false) {
+    const cached = QRScanner.keySet;
+    if (!refresh && cached && Date.now() - cached.fetchedAt < 600000) {
+      return cached;
+    }
+    const result = await ApiService.getQRKeys();
+    QRScanner.keySet = {
+      keys: result.keys,
+      tokenValidity: result.tokenValidity,
+      pastTolerance: result.pastTolerance,
+      fetchedAt: Date.now(),
+    };
+    return QRScanner.keySet;
+  }
+
+  /**
+   * The parts of a scanned frame needed to check it: { alg, kid, signed,
+   * signature, slot }, with a timestamp instead of the slot for older
+   * frames. Reads compact frames ("3:" + Base45, see utils/qrCodec.js on the
+   * server) and JSON frames (zlib + Base64).
+   */
+  static async readFrame(qrData) {
+    if (qrData.startsWith("3:")) {
+      const BASE45 = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+      const values = [...qrData.slice(2)].map((c) => BASE45.indexOf(c));
+      const bytes = [];
+      for (let i = 0; i < values.length; i += 3) {
+        const [c, d, e = 0] = values.slice(i, i + 3);
+        const n = c + d * 45 + e * 2025;
+        if (i + 2 < values.length) bytes.push(n >> 8, n & 0xff);
+        else bytes.push(n);
+      }
+
+      let offset = 2;
+      const varint = () => {
+        let value = 0;
+        for (let shift = 1; ; shift *= 128) {
+          const byte = bytes[offset++];
+          value += (byte & 0x7f) * shift;
+          if (!(byte & 0x80)) return value;
+        }
+      };
+      const tag = bytes
+        .slice(offset, (offset += 4))
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+      const kid = tag + "." + varint();
+      offset += 24; // session and teacher IDs
+      offset += 1 + bytes[offset]; // subject code
+      const time = varint(); // slot counter, or timestamp before version 4
+      offset += 8; // nonce
+
+      return {
+        alg: bytes[1] & 1 ? "EdDSA" : "HS256",
+        kid,
+        signed: Uint8Array.from(bytes.slice(0, offset)),
+        signature: Uint8Array.from(bytes.slice(offset)),
+        ...(bytes[0] >= 4 ? { slot: time } : { timestamp: time }),
+      };
+    }
+
+    const bytes = Uint8Array.from(atob(qrData), (c) => c.charCodeAt(0));
+    const inflated = new Blob([bytes])
+      .stream()
+      .pipeThrough(new DecompressionStream("deflate"));
+    const frame = JSON.parse(await new Response(inflated).text());
+    return {
+      alg: frame.a || "HS256",
+      kid: frame.k,
+      signed: new TextEncoder().encode(frame.p),
+      signature: Uint8Array.from(
+        frame.s.match(/../g).map((h) => parseInt(h, 16)),
+      ),
+      timestamp: JSON.parse(frame.p).ts,
+    };
+  }
+
+  /**
+   * Check a scanned frame before submitting it. Resolves to an error message
+   * for a frame that is certainly forged or expired, or null when it looks
+   * genuine or cannot be checked here (HMAC-signed frames, older browsers,
+   * no connection) and the server should decide (never rejects).
+   */
+  static async preverify(qrData) {
+    try {
+      const frame = await QRScanner.readFrame(qrData);
+      if (frame.alg !== "EdDSA") return null;
+
+      let keySet = await QRScanner.verificationKeys();
+      let jwk = keySet.keys.find((k) => k.kid === frame.kid);
+      if (!jwk) {
+        keySet = await QRScanner.verificationKeys(true);
+        jwk = keySet.keys.find((k) => k.kid === frame.kid);
+      }
+      if (!jwk) {
+        return "This QR code was not issued by this server or is no longer valid.";
+      }
+
+      const key = await crypto.subtle.importKey(
+        "jwk",
+        jwk,
+        { name: "Ed25519" },
+        false,
+        ["verify"],
+      );
+      const authentic = await crypto.subtle.verify(
+        { name: "Ed25519" },
+        key,
+        frame.signature,
+        frame.signed,
+      );
+      if (!authentic) {
+        return "This QR code is not authentic. Scan the code shown in class.";
+      }
+
+      // Valid during its time slot (or from its timestamp) plus the tolerance
+      const validFrom =
+        frame.slot != null
+          ? frame.slot * keySet.tokenValidity
+          : frame.timestamp;
+      const age = ApiService.serverNow() / 1000 - validFrom;
+      if (age > keySet.tokenValidity + keySet.pastTolerance) {
+        return "This QR code has expired. Please scan the latest QR code.";
+      }
+      return null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Stop the camera and scanning
    */
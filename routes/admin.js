@@ -0,0 +1,976 @@
+/**
+ * Admin Routes
+ * Institution-wide management: departments, subjects, teacher assignments,
+ * and user accounts. Every endpoint requires the admin role.
+ *
+ * Endpoints:
+ * - GET    /admin/overview                    (counts for the dashboard)
+ * - GET    /admin/departments                 (list with usage counts)
+ * - POST   /admin/departments                 (create)
+ * - PUT    /admin/departments/:id             (rename; cascades to users and subjects)
+ * - DELETE /admin/departments/:id             (delete if unused)
+ * - GET    /admin/subjects                    (list with owner and assigned teachers)
+ * - POST   /admin/subjects                    (create)
+ * - PUT    /admin/subjects/:subjectCode       (edit name, department, credits, owner, sections)
+ * - DELETE /admin/subjects/:subjectCode       (delete if no sessions were held)
+ * - PUT    /admin/subjects/:subjectCode/staff/:userId  (add/update an instructor or TA)
+ * - DELETE /admin/subjects/:subjectCode/staff/:userId  (remove from the teaching staff)
+ * - PUT    /admin/teachers/:id/subjects       (set the subjects a teacher instructs)
+ * - GET    /admin/users                       (search users)
+ * - PUT    /admin/users/:id                   (change department, disable/enable)
+ * - POST   /admin/users/:id/reset-password    (issue a temporary password)
+ * - GET    /admin/users/:id/devices           (a student's registered devices)
+ * - DELETE /admin/users/:id/devices           (reset a student's device bindings)
+ * - GET    /admin/scan-attempts               (search the scan attempt log)
+ * - POST   /admin/users/admin                 (create another admin)
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const router = express.Router();
+
+const User = require("../models/User");
+const Teacher = require("../models/Teacher");
+const Subject = require("../models/Subject");
+const Department = require("../models/Department");
+const AttendanceSession = require("../models/AttendanceSession");
+const TimetableSlot = require("../models/TimetableSlot");
+const Device = require("../models/Device");
+
+const { authenticate, authorize } = require("../middleware/auth");
+const {
+  validateObjectIdParam,
+  validateSubjectCodeParam,
+  validateDepartment,
+  validateSubjectCreate,
+  validateSubjectUpdate,
+  validateTeacherAssignment,
+  validateSubjectStaff,
+  validateSubjectStaffRemove,
+  validateUserQuery,
+  validateUserUpdate,
+  validateAdminCreate,
+  validateScanAttemptQuery,
+} = require("../middleware/validate");
+const { clearUpcoming, dayBounds } = require("../utils/timetable");
+const { RETENTION_DAYS, findAttempts } = require("../utils/scanLog");
+
+router.use(authenticate, authorize("admin"));
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Whether a User id belongs to a teacher account
+ */
+function isTeacher(userId) {
+  return User.exists({ _id: userId, role: "teacher" });
+}
+
+/**
+ * Refresh Teacher.subjectCodes from the subjects' staff lists
+ * @param {Array<ObjectId|string>} userIds - Teachers whose assignments changed
+ */
+async function syncTeacherSubjects(userIds) {
+  for (const userId of userIds) {
+    const subjectCodes = await Subject.distinct("subjectCode", {
+      "instructors.userId": userId,
+    });
+    await Teacher.updateOne({ userId }, { subjectCodes });
+  }
+}
+
+/**
+ * Add a teacher to a subject's staff as an instructor unless already on it
+ * @returns {boolean} true if the staff list changed
+ */
+function addInstructor(subject, userId) {
+  if (subject.staffEntry(userId)) return false;
+  subject.instructors.push({ userId, role: "instructor" });
+  return true;
+}
+
+// ─── Overview ───
+
+/**
+ * GET /admin/overview
+ * Headline counts for the admin dashboard.
+ */
+router.get("/overview", async (req, res) => {
+  try {
+    const [students, teachers, admins, subjects, departments, activeSessions] =
+      await Promise.all([
+        User.countDocuments({ role: "student" }),
+        User.countDocuments({ role: "teacher" }),
+        User.countDocuments({ role: "admin" }),
+        Subject.countDocuments(),
+        Department.countDocuments(),
+        AttendanceSession.countDocuments({ active: true }),
+      ]);
+
+    res.json({
+      success: true,
+      overview: {
+        students,
+        teachers,
+        admins,
+        subjects,
+        departments,
+        activeSessions,
+      },
+    });
+  } catch (error) {
+    console.error("Admin overview error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve overview.",
+    });
+  }
+});
+
+// ─── Departments ───
+
+/**
+ * GET /admin/departments
+ * Registered departments with how many users and subjects use each, plus
+ * department names in use that have not been registered yet.
+ */
+router.get("/departments", async (req, res) => {
+  try {
+    const [departments, userCounts, subjectCounts] = await Promise.all([
+      Department.find().sort({ name: 1 }),
+      User.aggregate([{ $group: { _id: "$department", count: { $sum: 1 } } }]),
+      Subject.aggregate([
+        { $group: { _id: "$department", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const users = new Map(userCounts.map((c) => [c._id, c.count]));
+    const subjects = new Map(subjectCounts.map((c) => [c._id, c.count]));
+    const registered = new Set(departments.map((d) => d.name));
+    const unregistered = [...new Set([...users.keys(), ...subjects.keys()])]
+      .filter((name) => name && !registered.has(name))
+      .sort();
+
+    res.json({
+      success: true,
+      departments: departments.map((d) => ({
+        id: d._id,
+        name: d.name,
+        code: d.code,
+        users: users.get(d.name) || 0,
+        subjects: subjects.get(d.name) || 0,
+      })),
+      unregistered,
+    });
+  } catch (error) {
+    console.error("Get departments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve departments.",
+    });
+  }
+});
+
+/**
+ * POST /admin/departments
+ * Body: { name, code }
+ */
+router.post("/departments", validateDepartment, async (req, res) => {
+  try {
+    const { name, code } = req.body;
+
+    const existing = await Department.findOne({ $or: [{ name }, { code }] });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "A department with this name or code already exists.",
+      });
+    }
+
+    const department = await Department.create({ name, code });
+
+    res.status(201).json({
+      success: true,
+      message: `Department ${department.name} created.`,
+      department: { id: department._id, name: department.name, code },
+    });
+  } catch (error) {
+    console.error("Create department error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create department.",
+    });
+  }
+});
+
+/**
+ * PUT /admin/departments/:id
+ * Body: { name, code }
+ * Users and subjects store the department by name, so a rename is applied
+ * to them too.
+ */
+router.put(
+  "/departments/:id",
+  validateObjectIdParam,
+  validateDepartment,
+  async (req, res) => {
+    try {
+      const { name, code } = req.body;
+
+      const department = await Department.findById(req.params.id);
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found.",
+        });
+      }
+
+      const clash = await Department.findOne({
+        _id: { $ne: department._id },
+        $or: [{ name }, { code }],
+      });
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          message: "A department with this name or code already exists.",
+        });
+      }
+
+      const oldName = department.name;
+      department.name = name;
+      department.code = code;
+      await department.save();
+
+      let renamed = { users: 0, subjects: 0 };
+      if (oldName !== name) {
+        const [users, subjects] = await Promise.all([
+          User.updateMany({ department: oldName }, { department: name }),
+          Subject.updateMany({ department: oldName }, { department: name }),
+        ]);
+        renamed = {
+          users: users.modifiedCount,
+          subjects: subjects.modifiedCount,
+        };
+      }
+
+      res.json({
+        success: true,
+        message: `Department ${name} updated.`,
+        department: { id: department._id, name, code },
+        renamed,
+      });
+    } catch (error) {
+      console.error("Update department error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update department.",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /admin/departments/:id
+ * Refused while any user or subject still belongs to the department.
+ */
+router.delete("/departments/:id", validateObjectIdParam, async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: "Department not found.",
+      });
+    }
+
+    const [users, subjects] = await Promise.all([
+      User.countDocuments({ department: department.name }),
+      Subject.countDocuments({ department: department.name }),
+    ]);
+    if (users || subjects) {
+      return res.status(409).json({
+        success: false,
+        message: `Department is still used by ${users} user(s) and ${subjects} subject(s).`,
+      });
+    }
+
+    await department.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Department ${department.name} deleted.`,
+    });
+  } catch (error) {
+    console.error("Delete department error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete department.",
+    });
+  }
+});
+
+// ─── Subjects ───
+
+/**
+ * GET /admin/subjects
+ * All subjects with their owner, sections, and teaching staff.
+ */
+router.get("/subjects", async (req, res) => {
+  try {
+    const subjects = await Subject.find()
+      .sort({ subjectCode: 1 })
+      .populate("teacherId", "name")
+      .populate("instructors.userId", "name email");
+
+    res.json({
+      success: true,
+      subjects: subjects.map((s) => ({
+        subjectCode: s.subjectCode,
+        name: s.name,
+        department: s.department,
+        credits: s.credits,
+        owner: s.teacherId
+          ? { id: s.teacherId._id, name: s.teacherId.name }
+          : null,
+        sections: s.sections,
+        staff: s.instructors
+          .filter((i) => i.userId)
+          .map((i) => ({
+            id: i.userId._id,
+            name: i.userId.name,
+            email: i.userId.email,
+            role: i.role,
+            sections: i.sections,
+          })),
+      })),
+    });
+  } catch (error) {
+    console.error("Get subjects error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve subjects.",
+    });
+  }
+});
+
+/**
+ * POST /admin/subjects
+ * Body: { subjectCode, department, name?, credits?, teacherId?, sections? }
+ * A given owner is also added to the staff as an instructor.
+ */
+router.post("/subjects", validateSubjectCreate, async (req, res) => {
+  try {
+    const { subjectCode, department, name, credits, teacherId, sections } =
+      req.body;
+
+    if (await Subject.exists({ subjectCode })) {
+      return res.status(409).json({
+        success: false,
+        message: `Subject ${subjectCode} already exists.`,
+      });
+    }
+
+    if (teacherId && !(await isTeacher(teacherId))) {
+      return res.status(400).json({
+        success: false,
+        message: "Owner must be a teacher.",
+      });
+    }
+
+    const subject = await Subject.create({
+      subjectCode,
+      department,
+      name: name || "",
+      credits: credits ?? null,
+      teacherId: teacherId || null,
+      instructors: teacherId ? [{ userId: teacherId, role: "instructor" }] : [],
+      sections: sections || [],
+    });
+
+    if (teacherId) await syncTeacherSubjects([teacherId]);
+
+    res.status(201).json({
+      success: true,
+      message: `Subject ${subjectCode} created.`,
+      subject,
+    });
+  } catch (error) {
+    console.error("Create subject error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create subject.",
+    });
+  }
+});
+
+/**
+ * PUT /admin/subjects/:subjectCode
+ * Body: { name?, department?, credits?, teacherId?, sections? }
+ * An empty teacherId clears the owner; a new owner is also added to the
+ * staff as an instructor. Removing a section does not move its students.
+ */
+router.put(
+  "/subjects/:subjectCode",
+  validateSubjectUpdate,
+  async (req, res) => {
+    try {
+      const { subjectCode } = req.params;
+      const { name, department, credits, teacherId, sections } = req.body;
+
+      const subject = await Subject.findOne({ subjectCode });
+      if (!subject) {
+        return res.status(404).json({
+          success: false,
+          message: "Subject not found.",
+        });
+      }
+
+      if (teacherId && !(await isTeacher(teacherId))) {
+        return res.status(400).json({
+          success: false,
+          message: "Owner must be a teacher.",
+        });
+      }
+
+      if (name !== undefined) subject.name = name;
+      if (department !== undefined) subject.department = department;
+      if (credits !== undefined) subject.credits = credits;
+      if (sections !== undefined) subject.sections = sections;
+      if (teacherId !== undefined) subject.teacherId = teacherId || null;
+      const staffChanged = !!teacherId && addInstructor(subject, teacherId);
+      await subject.save();
+
+      if (staffChanged) await syncTeacherSubjects([teacherId]);
+
+      res.json({
+        success: true,
+        message: `Subject ${subjectCode} updated.`,
+        subject,
+      });
+    } catch (error) {
+      console.error("Update subject error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update subject.",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /admin/subjects/:subjectCode
+ * Only subjects that never held a session can be deleted, so attendance
+ * history is never orphaned. Teacher assignments and the timetable are removed
+ * with it.
+ */
+router.delete(
+  "/subjects/:subjectCode",
+  validateSubjectCodeParam,
+  async (req, res) => {
+    try {
+      const { subjectCode } = req.params;
+
+      const subject = await Subject.findOne({ subjectCode });
+      if (!subject) {
+        return res.status(404).json({
+          success: false,
+          message: "Subject not found.",
+        });
+      }
+
+      // Timetabled classes still to come go with the subject; past ones stay
+      const { $or } = AttendanceSession.countedFilter();
+      if (await AttendanceSession.exists({ subjectCode, $or })) {
+        return res.status(409).json({
+          success: false,
+          message: `Subject ${subjectCode} has attendance sessions and cannot be deleted.`,
+        });
+      }
+
+      await clearUpcoming({ subjectCode });
+      await TimetableSlot.deleteMany({ subjectCode });
+      await subject.deleteOne();
+      await Teacher.updateMany(
+        { subjectCodes: subjectCode },
+        { $pull: { subjectCodes: subjectCode } },
+      );
+
+      res.json({
+        success: true,
+        message: `Subject ${subjectCode} deleted.`,
+      });
+    } catch (error) {
+      console.error("Delete subject error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete subject.",
+      });
+    }
+  },
+);
+
+// ─── Teaching Staff ───
+
+/**
+ * PUT /admin/subjects/:subjectCode/staff/:userId
+ * Add a teacher to a subject's staff, or change their role and sections.
+ * Body: { role: "instructor"|"ta", sections?: [] } (no sections = all)
+ */
+router.put(
+  "/subjects/:subjectCode/staff/:userId",
+  validateSubjectStaff,
+  async (req, res) => {
+    try {
+      const { subjectCode, userId } = req.params;
+      const { role } = req.body;
+      const sections = [...new Set(req.body.sections || [])];
+
+      const subject = await Subject.findOne({ subjectCode });
+      if (!subject) {
+        return res.status(404).json({
+          success: false,
+          message: "Subject not found.",
+        });
+      }
+
+      if (!(await isTeacher(userId))) {
+        return res.status(400).json({
+          success: false,
+          message: "Staff members must be teachers.",
+        });
+      }
+
+      const unknown = subject.sections.length
+        ? sections.filter((s) => !subject.sections.includes(s))
+        : [];
+      if (unknown.length) {
+        return res.status(400).json({
+          success: false,
+          message: `${subjectCode} has no section ${unknown.join(", ")}.`,
+        });
+      }
+
+      const entry = subject.staffEntry(userId);
+      if (entry) {
+        entry.role = role;
+        entry.sections = sections;
+      } else {
+        subject.instructors.push({ userId, role, sections });
+      }
+      await subject.save();
+      await syncTeacherSubjects([userId]);
+
+      res.json({
+        success: true,
+        message: `Staff for ${subjectCode} updated.`,
+      });
+    } catch (error) {
+      console.error("Update subject staff error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update subject staff.",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /admin/subjects/:subjectCode/staff/:userId
+ * Remove a teacher from a subject's staff. The owner stays owner until
+ * changed, but can no longer run sessions for the subject.
+ */
+router.delete(
+  "/subjects/:subjectCode/staff/:userId",
+  validateSubjectStaffRemove,
+  async (req, res) => {
+    try {
+      const { subjectCode, userId } = req.params;
+
+      const result = await Subject.updateOne(
+        { subjectCode },
+        { $pull: { instructors: { userId } } },
+      );
+      if (!result.matchedCount) {
+        return res.status(404).json({
+          success: false,
+          message: "Subject not found.",
+        });
+      }
+      await syncTeacherSubjects([userId]);
+
+      res.json({
+        success: true,
+        message: `Removed from ${subjectCode} staff.`,
+      });
+    } catch (error) {
+      console.error("Remove subject staff error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update subject staff.",
+      });
+    }
+  },
+);
+
+/**
+ * PUT /admin/teachers/:id/subjects
+ * Replace the subjects a teacher (by User id) is on the staff of. Newly
+ * added subjects make them an instructor; existing roles are kept.
+ * Body: { subjectCodes: [] }
+ */
+router.put(
+  "/teachers/:id/subjects",
+  validateTeacherAssignment,
+  async (req, res) => {
+    try {
+      const codes = [...new Set(req.body.subjectCodes)];
+
+      const teacher = await Teacher.findOne({ userId: req.params.id });
+      if (!teacher) {
+        return res.status(404).json({
+          success: false,
+          message: "Teacher not found.",
+        });
+      }
+
+      const existing = await Subject.distinct("subjectCode", {
+        subjectCode: { $in: codes },
+      });
+      const unknown = codes.filter((code) => !existing.includes(code));
+      if (unknown.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown subject code(s): ${unknown.join(", ")}.`,
+        });
+      }
+
+      const userId = teacher.userId;
+      await Subject.updateMany(
+        { subjectCode: { $nin: codes }, "instructors.userId": userId },
+        { $pull: { instructors: { userId } } },
+      );
+      await Subject.updateMany(
+        { subjectCode: { $in: codes }, "instructors.userId": { $ne: userId } },
+        {
+          $push: { instructors: { userId, role: "instructor", sections: [] } },
+        },
+      );
+      await syncTeacherSubjects([userId]);
+
+      res.json({
+        success: true,
+        message: "Teacher assignments updated.",
+        subjectCodes: codes.sort(),
+      });
+    } catch (error) {
+      console.error("Update teacher assignments error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update teacher assignments.",
+      });
+    }
+  },
+);
+
+// ─── Users ───
+
+/**
+ * GET /admin/users
+ * Optional query: ?role=student|teacher|admin&q=<name, email or roll>&department=
+ * Teachers include their assigned subject codes; students their number of
+ * registered devices.
+ */
+router.get("/users", validateUserQuery, async (req, res) => {
+  try {
+    const { role, q, department } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (department) filter.department = department;
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i");
+      filter.$or = [
+        { name: pattern },
+        { email: pattern },
+        { rollNumber: pattern },
+      ];
+    }
+
+    const users = await User.find(filter)
+      .select("-password")
+      .sort({ role: 1, name: 1 })
+      .limit(200);
+
+    const teachers = await Teacher.find({
+      userId: {
+        $in: users.filter((u) => u.role === "teacher").map((u) => u._id),
+      },
+    });
+    const assignments = new Map(
+      teachers.map((t) => [t.userId.toString(), t.subjectCodes]),
+    );
+    const deviceCounts = await Device.aggregate([
+      {
+        $match: {
+          studentId: {
+            $in: users.filter((u) => u.role === "student").map((u) => u._id),
+          },
+        },
+      },
+      { $group: { _id: "$studentId", count: { $sum: 1 } } },
+    ]);
+    const devices = new Map(
+      deviceCounts.map((d) => [d._id.toString(), d.count]),
+    );
+
+    res.json({
+      success: true,
+      users: users.map((u) => ({
+        id: u._id,
+        name: u.name,
+        email: u.email,
+        rollNumber: u.rollNumber,
+        role: u.role,
+        department: u.department,
+        disabled: u.disabled,
+        subjectCodes:
+          u.role === "teacher"
+            ? assignments.get(u._id.toString()) || []
+            : undefined,
+        deviceCount:
+          u.role === "student" ? devices.get(u._id.toString()) || 0 : undefined,
+      })),
+    });
+  } catch (error) {
+    console.error("Get users error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve users.",
+    });
+  }
+});
+
+/**
+ * POST /admin/users/admin
+ * Create another admin account.
+ * Body: { name, email, department, password }
+ */
+router.post("/users/admin", validateAdminCreate, async (req, res) => {
+  try {
+    const { name, email, department, password } = req.body;
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        success: false,
+        message: "An account with this email already exists.",
+      });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      department,
+      password,
+      role: "admin",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Admin ${user.name} created.`,
+      user: { id: user._id, name: user.name, email: user.email },
+    });
+  } catch (error) {
+    console.error("Create admin error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create admin.",
+    });
+  }
+});
+
+/**
+ * PUT /admin/users/:id
+ * Body: { department?, disabled? }
+ * Disabling an account takes effect on its next request.
+ */
+router.put("/users/:id", validateUserUpdate, async (req, res) => {
+  try {
+    const { department, disabled } = req.body;
+
+    if (disabled === true && req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot disable your own account.",
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found.",
+      });
+    }
+
+    if (department !== undefined) user.department = department;
+    if (disabled !== undefined) user.disabled = disabled;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `${user.name} updated.`,
+      user: {
+        id: user._id,
+        name: user.name,
+        department: user.department,
+        disabled: user.disabled,
+      },
+    });
+  } catch (error) {
+    console.error("Update user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update user.",
+    });
+  }
+});
+
+/**
+ * POST /admin/users/:id/reset-password
+ * Replace the user's password with a generated one, returned once.
+ * Existing logins for the account stop working.
+ */
+router.post(
+  "/users/:id/reset-password",
+  validateObjectIdParam,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found.",
+        });
+      }
+
+      const temporaryPassword = crypto.randomBytes(6).toString("base64url");
+      user.password = temporaryPassword;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: `Password reset for ${user.name}.`,
+        temporaryPassword,
+      });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reset password.",
+      });
+    }
+  },
+);
+
+/**
+ * GET /admin/users/:id/devices
+ * The devices registered to a student.
+ */
+router.get("/users/:id/devices", validateObjectIdParam, async (req, res) => {
+  try {
+    const devices = await Device.find({ studentId: req.params.id }).sort({
+      createdAt: 1,
+    });
+
+    res.json({
+      success: true,
+      devices: devices.map((d) => ({
+        id: d._id,
+        label: d.label,
+        registeredAt: d.createdAt,
+        lastUsedAt: d.lastUsedAt,
+      })),
+    });
+  } catch (error) {
+    console.error("Get user devices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve devices.",
+    });
+  }
+});
+
+/**
+ * DELETE /admin/users/:id/devices
+ * Remove all of a student's device bindings (e.g. after a lost or replaced
+ * phone). The student's next device registers afresh.
+ */
+router.delete("/users/:id/devices", validateObjectIdParam, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || user.role !== "student") {
+      return res.status(404).json({
+        success: false,
+        message: "Student not found.",
+      });
+    }
+
+    const result = await Device.deleteMany({ studentId: user._id });
+
+    res.json({
+      success: true,
+      message: `Removed ${result.deletedCount} device(s) from ${user.name}.`,
+    });
+  } catch (error) {
+    console.error("Reset devices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset devices.",
+    });
+  }
+});
+
+// ─── Scan Log ───
+
+/**
+ * GET /admin/scan-attempts
+ * Scan attempts across all sessions, newest first, to look into a
+ * student's complaint. Attempts are kept for SCAN_ATTEMPT_RETENTION_DAYS.
+ * Optional query: ?rollNumber=&outcome=accepted|rejected&sessionId=
+ *   &subjectCode=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit= (max 500)
+ */
+router.get("/scan-attempts", validateScanAttemptQuery, async (req, res) => {
+  try {
+    const { sessionId, subjectCode, from, to } = req.query;
+
+    const filter = {};
+    if (sessionId) filter.sessionId = sessionId;
+    if (subjectCode) filter.subjectCode = subjectCode;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = dayBounds(from).start;
+      if (to) filter.createdAt.$lt = dayBounds(to).end;
+    }
+
+    const attempts = await findAttempts(filter, req.query);
+
+    res.json({
+      success: true,
+      retentionDays: RETENTION_DAYS,
+      attempts,
+    });
+  } catch (error) {
+    console.error("Get scan attempts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve scan attempts.",
+    });
+  }
+});
+
+module.exports = router;
@@ -6,12 +6,44 @@
  * - Student scans and validates QR codes
  * - Attendance records and summaries
  *
+ * Sessions may be held for the whole subject or for one of its sections; a
+ * student's total classes count only the sessions held for their section.
+ * A subject may meet more than once a day (e.g. lecture + lab): attendance is
+ * recorded per session, and every session counts as a class.
+ * Timetabled classes exist as scheduled sessions before they are held; one
+ * that is never held counts once its start time passes, unless cancelled.
+ * Open sessions close automatically after a maximum duration or when idle
+ * (see utils/sessionLifecycle.js); each session records how it ended.
+ * Sessions held in a room with a saved location check where scans come from:
+ * scans outside the room's geofence are rejected or flagged, depending on
+ * the classroom's mode (see utils/geofence.js). Scans must also come from one
+ * of the student's registered devices, and a device can mark attendance for
+ * only one student per session (see utils/deviceBinding.js). Each QR frame
+ * can be scanned once per student, or once overall (see utils/nonces.js).
+ * Every scan attempt is logged (see utils/scanLog.js); a session's suspicion
+ * report looks over the attempts and marks for signs of proxy attendance
+ * (see utils/suspicion.js).
+ * A session is visible to the teacher who ran it and to the subject's
+ * instructors (teaching assistants only see their own sessions).
+ *
  * Endpoints:
  * - POST /attendance/start              (teacher)
  * - POST /attendance/stop               (teacher)
+ * - POST /attendance/session/:id/start  (teacher - open a scheduled class)
+ * - POST /attendance/session/:id/cancel (teacher - call off a scheduled class)
  * - GET  /attendance/session/:id        (teacher)
+ * - GET  /attendance/session/:id/register  (teacher - present/absent list)
+ * - POST   /attendance/session/:id/attendance              (teacher - manual add)
+ * - PUT    /attendance/session/:id/attendance/:rollNumber  (teacher - manual change)
+ * - DELETE /attendance/session/:id/attendance/:rollNumber  (teacher - revoke)
+ * - GET  /attendance/session/:id/audit     (teacher - manual change trail)
+ * - GET  /attendance/session/:id/suspicions (teacher - proxy/fraud report)
+ * - GET  /attendance/session/:id/attempts   (teacher - scan attempt log)
+ * - GET  /attendance/qr/keys            (public - QR verification keys, JWKS-style)
  * - GET  /attendance/qr/current         (teacher - returns QR image)
+ * - GET  /attendance/qr/stream          (teacher - SSE stream of rotating QR frames)
  * - GET  /attendance/subject/:subjectCode/summary  (teacher)
+ * - GET  /attendance/subject/:subjectCode/export   (teacher - CSV/XLSX/PDF register)
  * - POST /attendance/scan               (student)
  * - GET  /attendance/student/:subjectCode          (student)
  */
@@ -21,26 +53,312 @@ const router = express.Router();
 
 const AttendanceSession = require("../models/AttendanceSession");
 const Attendance = require("../models/Attendance");
+const AttendanceAudit = require("../models/AttendanceAudit");
 const User = require("../models/User");
 const Student = require("../models/Student");
 const Teacher = require("../models/Teacher");
 const Subject = require("../models/Subject");
+const Enrollment = require("../models/Enrollment");
+const LeaveRequest = require("../models/LeaveRequest");
+const ScanAttempt = require("../models/ScanAttempt");
 
 const { authenticate, authorize } = require("../middleware/auth");
 const {
   validateAttendanceStart,
   validateAttendanceScan,
   validateSubjectCodeParam,
+  validateSessionIdParam,
+  validateRegisterExport,
+  validateSectionQuery,
+  validateTermQuery,
+  validateAttendanceOverrideAdd,
+  validateAttendanceOverrideChange,
+  validateAttendanceOverrideRemove,
+  validateScheduledStart,
+  validateSessionCancel,
+  validateSessionAttempts,
+  validateQRImageQuery,
 } = require("../middleware/validate");
 const {
+  QR_TOKEN_VALIDITY,
+  QR_PAST_TOLERANCE,
+  QR_FUTURE_TOLERANCE,
   generateQRPayload,
   generateQRImage,
   validateQRPayload,
 } = require("../utils/qrGenerator");
+const { SIGNING_ALG, publicKeys } = require("../utils/qrKeys");
+const sessionStream = require("../utils/sessionStream");
+const {
+  openSession,
+  closeSession,
+  expiryReason,
+  touchSession,
+} = require("../utils/sessionLifecycle");
+const { localDate } = require("../utils/timetable");
+const { checkLocation } = require("../utils/geofence");
+const { buildSuspicionReport } = require("../utils/suspicion");
+const { findAttempts } = require("../utils/scanLog");
+const { isNonceUsed, consumeNonce, releaseNonce } = require("../utils/nonces");
+const {
+  MODE: DEVICE_BINDING_MODE,
+  checkDevice,
+} = require("../utils/deviceBinding");
+const registerExport = require("../utils/registerExport");
+const {
+  ATTENDED_STATUSES,
+  STATUS_MARKS,
+  statusForScan,
+  countStatuses,
+  computeAttendance,
+} = require("../utils/attendancePolicy");
+
+/**
+ * Count the students expected to attend a subject's sessions
+ * (the subject's roster for the current term, or one section of it).
+ * @param {string} subjectCode - Uppercase subject code
+ * @param {string|null} [section] - Limit to this section
+ * @returns {Promise<number>}
+ */
+function countExpectedStudents(subjectCode, section) {
+  const filter = { subjectCode, term: Enrollment.currentTerm() };
+  if (section) filter.section = section;
+  return Enrollment.countDocuments(filter);
+}
+
+/**
+ * Filter limiting sessions and attendance records (by their date) to a
+ * term's dates, narrowed further to an optional from/to range
+ * @param {string} term - e.g. "2025-FALL"
+ * @param {string} [from] - YYYY-MM-DD
+ * @param {string} [to] - YYYY-MM-DD
+ * @returns {object} { date: { $gte, $lte } }, or {} when unbounded
+ */
+function termDateFilter(term, from, to) {
+  const dates = Enrollment.termDates(term);
+  const start = [dates && dates.from, from].filter(Boolean).sort().pop();
+  const end = [dates && dates.to, to].filter(Boolean).sort()[0];
+  const range = {};
+  if (start) range.$gte = start;
+  if (end) range.$lte = end;
+  return Object.keys(range).length ? { date: range } : {};
+}
+
+/**
+ * Sessions (classes) a subject has held, overall and per section.
+ * A whole-subject session counts for every section; a section's session
+ * only for that section. Cancelled and upcoming scheduled classes are left out.
+ * @param {string} subjectCode - Uppercase subject code
+ * @param {object} [filter] - Extra AttendanceSession filter (e.g. a date range)
+ * @returns {Promise<{ all: object[], forSection: Function }>} Sessions in
+ *   start order ({ _id, date, startTime, section }); forSection(section)
+ *   returns the sessions that count for a section
+ */
+async function classSessions(subjectCode, filter = {}) {
+  const sessions = await AttendanceSession.find({
+    subjectCode,
+    ...AttendanceSession.countedFilter(),
+    ...filter,
+  })
+    .select("date startTime scheduledStart section")
+    .lean();
+  // Classes never opened fall at their scheduled time
+  sessions.forEach((s) => (s.startTime = s.startTime || s.scheduledStart));
+  sessions.sort((a, b) => a.startTime - b.startTime);
+
+  const bySection = new Map();
+  return {
+    all: sessions,
+    forSection(section) {
+      if (!bySection.has(section)) {
+        bySection.set(
+          section,
+          sessions.filter((s) => !s.section || s.section === section),
+        );
+      }
+      return bySection.get(section);
+    },
+  };
+}
+
+/**
+ * Sections a staff member's view of a subject is limited to: the requested
+ * section, narrowed to the sections a restricted TA or instructor teaches.
+ * Sends a 403 and resolves to undefined when the request is out of bounds.
+ * @param {object} staff - Subject staff entry
+ * @param {string} [requested] - Section from the query
+ * @param {object} res - Express response
+ * @returns {string[]|null|undefined} Sections to include (null = all)
+ */
+function visibleSections(staff, requested, res) {
+  if (requested) {
+    if (staff.sections.length && !staff.sections.includes(requested)) {
+      res.status(403).json({
+        success: false,
+        message: `You are not assigned to section ${requested}.`,
+      });
+      return undefined;
+    }
+    return [requested];
+  }
+  return staff.sections.length ? staff.sections : null;
+}
+
+/**
+ * generateQRImage options from a QR endpoint's query
+ * (format, size, margin, dark, light; see validateQRImageQuery)
+ */
+function qrImageOptions(query) {
+  const options = {};
+  if (query.format) options.format = query.format;
+  if (query.size) options.width = query.size;
+  if (Number.isInteger(query.margin)) options.margin = query.margin;
+  if (query.dark) options.dark = "#" + query.dark.replace(/^#/, "");
+  if (query.light) options.light = "#" + query.light.replace(/^#/, "");
+  return options;
+}
+
+/**
+ * Count the students who attended a session (present or late)
+ * @param {ObjectId} sessionId
+ * @returns {Promise<number>}
+ */
+function countPresent(sessionId) {
+  return Attendance.countDocuments({
+    sessionId,
+    // Records from before statuses existed have none and count as present
+    status: { $in: [...ATTENDED_STATUSES, null] },
+  });
+}
+
+/**
+ * Add approved leave to a student's records: every session on a date covered
+ * by approved leave that has no record of its own counts as excused.
+ * Records for sessions not in the list are dropped.
+ * @param {Array<{ sessionId, status: string }>} records - Student's records
+ * @param {object[]} sessions - Sessions held (from classSessions)
+ * @param {Array} [leaveRanges] - From LeaveRequest.approvedRanges
+ * @returns {Array<{ sessionId, status: string }>}
+ */
+function withApprovedLeave(records, sessions, leaveRanges) {
+  const held = new Set(sessions.map((s) => s._id.toString()));
+  const counted = records.filter((r) => held.has(r.sessionId.toString()));
+  const recorded = new Set(counted.map((r) => r.sessionId.toString()));
+  const excused = sessions
+    .filter(
+      (s) =>
+        !recorded.has(s._id.toString()) &&
+        LeaveRequest.covers(leaveRanges, s.date),
+    )
+    .map((s) => ({ sessionId: s._id, status: "excused" }));
+  return [...counted, ...excused];
+}
+
+/**
+ * Load the session named by req.params.id if the requesting teacher ran it
+ * or is an instructor of its subject. Sends a 404/403 response and resolves
+ * to null otherwise.
+ * @returns {Promise<object|null>} AttendanceSession document
+ */
+async function loadStaffSession(req, res) {
+  const session = await AttendanceSession.findById(req.params.id);
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: "Session not found.",
+    });
+    return null;
+  }
+
+  if (session.teacherId.toString() !== req.user.id) {
+    const access = await Subject.forStaff(session.subjectCode, req.user.id);
+    if (!access || access.staff.role !== "instructor") {
+      res.status(403).json({
+        success: false,
+        message: "Access denied.",
+      });
+      return null;
+    }
+  }
+
+  return session;
+}
+
+// Why a timetabled class can no longer be started or cancelled, by state
+const SCHEDULED_CONFLICTS = {
+  cancelled: "This class was cancelled.",
+  live: "This class is already in progress.",
+  held: "This class has already been held.",
+};
+
+/**
+ * Load the timetabled class named by req.params.id if the requesting teacher
+ * may take it (its assigned teacher, or staff who can run its section) and it
+ * has not been opened or cancelled yet. Sends a 404/403/409 response and
+ * resolves to null otherwise.
+ * @returns {Promise<object|null>} AttendanceSession document
+ */
+async function loadScheduledSession(req, res) {
+  const session = await AttendanceSession.findById(req.params.id);
+
+  if (!session || !session.slotId) {
+    res.status(404).json({
+      success: false,
+      message: "Scheduled class not found.",
+    });
+    return null;
+  }
+
+  if (session.teacherId.toString() !== req.user.id) {
+    const access = await Subject.forStaff(session.subjectCode, req.user.id);
+    if (
+      !access ||
+      !access.subject.canTeachSection(req.user.id, session.section)
+    ) {
+      res.status(403).json({
+        success: false,
+        message: "Access denied.",
+      });
+      return null;
+    }
+  }
+
+  if (session.state !== "scheduled") {
+    res.status(409).json({
+      success: false,
+      message: SCHEDULED_CONFLICTS[session.state],
+    });
+    return null;
+  }
+
+  return session;
+}
+
+// Scan rejection when a QR frame's nonce is already used up
+const QR_ALREADY_USED =
+  "This QR code has already been used. Please scan the latest QR code.";
+
+// Scan rejection when a device tries to mark a second student
+const DEVICE_ALREADY_USED =
+  "This device has already marked attendance for another student in this session.";
+
+/**
+ * The Attendance fields captured in audit snapshots
+ */
+function attendanceSnapshot(record) {
+  return {
+    status: record.status,
+    timestamp: record.timestamp,
+    source: record.source,
+  };
+}
 
 /**
  * POST /attendance/start
- * Teacher initiates an attendance session for a selected subject.
+ * Teacher initiates an attendance session for a selected subject, optionally
+ * for one section. Staff limited to some sections must pick one of them.
+ * An optional room turns on the room's geofence, if it has a saved location.
  * Creates a new AttendanceSession and returns the session ID.
  */
 router.post(
@@ -50,47 +368,51 @@ router.post(
   validateAttendanceStart,
   async (req, res) => {
     try {
-      const { subjectCode } = req.body;
+      const { subjectCode, lateAfterMinutes } = req.body;
+      const section = req.body.section || null;
       const teacherId = req.user.id;
 
-      // Verify this teacher is assigned to this subject
-      const teacher = await Teacher.findOne({ userId: teacherId });
-      if (
-        !teacher ||
-        !teacher.subjectCodes.includes(subjectCode.toUpperCase())
-      ) {
+      // Verify this teacher is assigned to this subject (and section)
+      const access = await Subject.forStaff(subjectCode, teacherId);
+      if (!access) {
         return res.status(403).json({
           success: false,
           message: "You are not assigned to teach this subject.",
         });
       }
+      const { subject, staff } = access;
 
-      // Check if there's already an active session for this teacher
-      const existingSession = await AttendanceSession.findOne({
-        teacherId,
-        active: true,
-      });
-
-      if (existingSession) {
-        // End previous session before starting new one
-        existingSession.active = false;
-        existingSession.endTime = new Date();
-        await existingSession.save();
+      if (
+        section &&
+        subject.sections.length &&
+        !subject.sections.includes(section)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `${subject.subjectCode} has no section ${section}.`,
+        });
+      }
+      if (!subject.canTeachSection(teacherId, section)) {
+        return res.status(403).json({
+          success: false,
+          message: section
+            ? `You are not assigned to section ${section}.`
+            : `Choose one of your sections: ${staff.sections.join(", ")}.`,
+        });
       }
 
-      // Get today's date in YYYY-MM-DD format
-      const today = new Date().toISOString().split("T")[0];
+      // Today's date in YYYY-MM-DD format (server-local, like timetables)
+      const today = localDate();
 
-      // Create new attendance session
+      // Create and open the new session (ending any session already running)
       const session = new AttendanceSession({
-        subjectCode: subjectCode.toUpperCase(),
-        teacherId,
+        subjectCode: subject.subjectCode,
+        section,
         date: today,
-        startTime: new Date(),
-        active: true,
-        usedNonces: [],
+        room: req.body.room || null,
+        lateAfterMinutes: lateAfterMinutes != null ? lateAfterMinutes : null,
       });
-      await session.save();
+      await openSession(session, teacherId);
 
       res.status(201).json({
         success: true,
@@ -98,9 +420,13 @@ router.post(
         session: {
           id: session._id,
           subjectCode: session.subjectCode,
+          section: session.section,
           date: session.date,
+          room: session.room,
+          geofence: session.geofence,
           startTime: session.startTime,
           active: session.active,
+          lateAfterMinutes: session.lateAfterMinutes,
         },
       });
     } catch (error) {
@@ -134,15 +460,9 @@ router.post("/stop", authenticate, authorize("teacher"), async (req, res) => {
       });
     }
 
-    // Deactivate the session
-    session.active = false;
-    session.endTime = new Date();
-    await session.save();
-
-    // Count attendance records for this session
-    const attendanceCount = await Attendance.countDocuments({
-      sessionId: session._id,
-    });
+    // Count students who attended, then deactivate the session
+    const attendanceCount = await countPresent(session._id);
+    await closeSession(session, "manual", { attendanceCount });
 
     res.json({
       success: true,
@@ -150,9 +470,11 @@ router.post("/stop", authenticate, authorize("teacher"), async (req, res) => {
       session: {
         id: session._id,
         subjectCode: session.subjectCode,
+        section: session.section,
         date: session.date,
         startTime: session.startTime,
         endTime: session.endTime,
+        endReason: session.endReason,
         attendanceCount,
       },
     });
@@ -166,62 +488,704 @@ router.post("/stop", authenticate, authorize("teacher"), async (req, res) => {
 });
 
 /**
- * GET /attendance/session/:id
- * Retrieve details of a specific attendance session.
+ * POST /attendance/session/:id/start
+ * Open a timetabled class on its day (ending any session the teacher is
+ * already running). Body: { lateAfterMinutes? }
+ */
+router.post(
+  "/session/:id/start",
+  authenticate,
+  authorize("teacher"),
+  validateScheduledStart,
+  async (req, res) => {
+    try {
+      const session = await loadScheduledSession(req, res);
+      if (!session) return;
+
+      if (localDate(session.scheduledStart) !== localDate()) {
+        return res.status(400).json({
+          success: false,
+          message: "A scheduled class can only be started on its day.",
+        });
+      }
+
+      const { lateAfterMinutes } = req.body;
+      if (lateAfterMinutes != null) session.lateAfterMinutes = lateAfterMinutes;
+      await openSession(session, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: "Attendance session started.",
+        session: {
+          id: session._id,
+          subjectCode: session.subjectCode,
+          section: session.section,
+          date: session.date,
+          room: session.room,
+          geofence: session.geofence,
+          startTime: session.startTime,
+          scheduledEnd: session.scheduledEnd,
+          active: session.active,
+          lateAfterMinutes: session.lateAfterMinutes,
+        },
+      });
+    } catch (error) {
+      console.error("Start scheduled session error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to start the scheduled class.",
+      });
+    }
+  },
+);
+
+/**
+ * POST /attendance/session/:id/cancel
+ * Call off a timetabled class that was not held, so it does not count toward
+ * anyone's total classes. Body: { reason }
+ */
+router.post(
+  "/session/:id/cancel",
+  authenticate,
+  authorize("teacher"),
+  validateSessionCancel,
+  async (req, res) => {
+    try {
+      const session = await loadScheduledSession(req, res);
+      if (!session) return;
+
+      // Marks added by hand mean the class did take place
+      if (await Attendance.exists({ sessionId: session._id })) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Attendance has been recorded for this class, so it cannot be cancelled.",
+        });
+      }
+
+      session.cancelledAt = new Date();
+      session.cancelledBy = req.user.id;
+      session.cancelReason = req.body.reason;
+      await session.save();
+
+      res.json({
+        success: true,
+        message: `${session.subjectCode} class cancelled.`,
+        session: {
+          id: session._id,
+          subjectCode: session.subjectCode,
+          section: session.section,
+          date: session.date,
+          scheduledStart: session.scheduledStart,
+          state: session.state,
+          cancelReason: session.cancelReason,
+        },
+      });
+    } catch (error) {
+      console.error("Cancel scheduled session error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel the scheduled class.",
+      });
+    }
+  },
+);
+
+/**
+ * GET /attendance/session/:id
+ * Retrieve details of a specific attendance session.
+ */
+router.get(
+  "/session/:id",
+  authenticate,
+  authorize("teacher"),
+  validateSessionIdParam,
+  async (req, res) => {
+    try {
+      const session = await loadStaffSession(req, res);
+      if (!session) return;
+
+      const attendanceCount = await countPresent(session._id);
+
+      res.json({
+        success: true,
+        session: {
+          id: session._id,
+          subjectCode: session.subjectCode,
+          section: session.section,
+          date: session.date,
+          startTime: session.startTime,
+          endTime: session.endTime,
+          endReason: session.endReason,
+          active: session.active,
+          attendanceCount,
+        },
+      });
+    } catch (error) {
+      console.error("Get session error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve session.",
+      });
+    }
+  },
+);
+
+/**
+ * GET /attendance/session/:id/register
+ * Who attended a session and who did not, against the subject's roster for
+ * the term the session was held in (only the session's section, if any).
+ * Present entries (present/late) include scan timestamps; attendees not on
+ * the roster are listed with enrolled: false.
+ * Absent entries carry their status: absent, excused/medical when recorded,
+ * or excused with onLeave: true when covered by an approved leave request.
+ */
+router.get(
+  "/session/:id/register",
+  authenticate,
+  authorize("teacher"),
+  validateSessionIdParam,
+  async (req, res) => {
+    try {
+      const session = await loadStaffSession(req, res);
+      if (!session) return;
+
+      const term = Enrollment.currentTerm(
+        session.startTime || session.scheduledStart,
+      );
+      const rosterFilter = { subjectCode: session.subjectCode, term };
+      if (session.section) rosterFilter.section = session.section;
+      const [enrollments, records, leave] = await Promise.all([
+        Enrollment.find(rosterFilter).populate(
+          "studentId",
+          "_id name rollNumber",
+        ),
+        Attendance.find({ sessionId: session._id }).populate(
+          "studentId",
+          "_id name rollNumber",
+        ),
+        LeaveRequest.approvedRanges(session.subjectCode),
+      ]);
+
+      // studentId -> section, for roster members
+      const sections = new Map();
+      enrollments
+        .filter((e) => e.studentId)
+        .forEach((e) => sections.set(e.studentId._id.toString(), e.section));
+
+      const entries = records
+        .filter((r) => r.studentId)
+        .map((r) => {
+          const id = r.studentId._id.toString();
+          return {
+            name: r.studentId.name,
+            rollNumber: r.studentId.rollNumber,
+            section: sections.get(id) || null,
+            enrolled: sections.has(id),
+            status: r.status,
+            timestamp: r.timestamp,
+            source: r.source,
+            overridden: !!r.overriddenAt,
+            overrideReason: r.overrideReason,
+            distanceMeters: r.distanceMeters,
+            flagged: r.flagged,
+            flagReason: r.flagReason,
+          };
+        });
+
+      const present = entries
+        .filter((e) => ATTENDED_STATUSES.includes(e.status))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      const recordedIds = new Set(
+        records
+          .filter((r) => r.studentId)
+          .map((r) => r.studentId._id.toString()),
+      );
+      const absent = [
+        ...entries.filter((e) => !ATTENDED_STATUSES.includes(e.status)),
+        ...enrollments
+          .filter(
+            (e) => e.studentId && !recordedIds.has(e.studentId._id.toString()),
+          )
+          .map((e) => {
+            const onLeave = LeaveRequest.covers(
+              leave.get(e.studentId._id.toString()),
+              session.date,
+            );
+            return {
+              name: e.studentId.name,
+              rollNumber: e.studentId.rollNumber,
+              section: e.section,
+              enrolled: true,
+              status: onLeave ? "excused" : "absent",
+              onLeave,
+            };
+          }),
+      ].sort((a, b) => a.rollNumber.localeCompare(b.rollNumber));
+
+      res.json({
+        success: true,
+        session: {
+          id: session._id,
+          subjectCode: session.subjectCode,
+          section: session.section,
+          date: session.date,
+          startTime: session.startTime,
+          endTime: session.endTime,
+          endReason: session.endReason,
+          active: session.active,
+          lateAfterMinutes: session.lateAfterMinutes,
+          room: session.room,
+          geofence: session.geofence,
+          term,
+        },
+        rosterSize: sections.size,
+        present,
+        absent,
+      });
+    } catch (error) {
+      console.error("Get session register error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve session register.",
+      });
+    }
+  },
+);
+
+/**
+ * Check a student may be given a record in a session: on the subject's
+ * roster for the session's term, and in the session's section if it has one.
+ * Sends a 404/403 otherwise.
+ * @returns {Promise<boolean>} true if the student is on the roster
+ */
+async function requireOnRoster(session, student, res) {
+  const term = Enrollment.currentTerm(
+    session.startTime || session.scheduledStart,
+  );
+  const enrollment = await Enrollment.findOne({
+    studentId: student._id,
+    subjectCode: session.subjectCode,
+    term,
+  }).select("section");
+  if (!enrollment) {
+    res.status(404).json({
+      success: false,
+      message: `${student.rollNumber} is not enrolled in ${session.subjectCode} for ${term}.`,
+    });
+    return false;
+  }
+  if (session.section && enrollment.section !== session.section) {
+    res.status(403).json({
+      success: false,
+      message: `This session is for section ${session.section}; ${student.rollNumber} is in section ${enrollment.section}.`,
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Why a manually entered time cannot belong to a session, or null if it
+ * can: it must fall on the session's date, between its start and its end
+ * (or now, while it is still running)
+ * @param {object} session - AttendanceSession
+ * @param {string} timestamp - ISO 8601
+ * @returns {string|null}
+ */
+function timestampOutsideSession(session, timestamp) {
+  const at = new Date(timestamp);
+  if (localDate(at) !== session.date) {
+    return `The time must be on ${session.date}, the session's date.`;
+  }
+  const start = session.startTime || session.scheduledStart;
+  const end =
+    session.endTime || (session.active ? new Date() : session.scheduledEnd);
+  if ((start && at < start) || (end && at > end)) {
+    return "The time must be within the session.";
+  }
+  return null;
+}
+
+/**
+ * POST /attendance/session/:id/attendance
+ * Manually record a student's attendance in a session (e.g. their phone died).
+ * The student must be on the session's roster (and section).
+ * Body: { rollNumber, reason, status?, timestamp? } — status defaults to
+ * present and timestamp to the session start; a timestamp must fall within
+ * the session.
+ */
+router.post(
+  "/session/:id/attendance",
+  authenticate,
+  authorize("teacher"),
+  validateAttendanceOverrideAdd,
+  async (req, res) => {
+    try {
+      const session = await loadStaffSession(req, res);
+      if (!session) return;
+
+      const { rollNumber, reason, timestamp } = req.body;
+      const status = req.body.status || "present";
+      const timeError =
+        timestamp && timestampOutsideSession(session, timestamp);
+      if (timeError) {
+        return res.status(400).json({ success: false, message: timeError });
+      }
+      const student = await User.findOne({ rollNumber, role: "student" });
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: "Student not found.",
+        });
+      }
+      if (!(await requireOnRoster(session, student, res))) return;
+
+      // One record per student per session (see Attendance model)
+      const existing = await Attendance.exists({
+        studentId: student._id,
+        sessionId: session._id,
+      });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Student already has a record in this session. Change it instead.",
+        });
+      }
+
+      const attendance = new Attendance({
+        studentId: student._id,
+        subjectCode: session.subjectCode,
+        sessionId: session._id,
+        date: session.date,
+        timestamp: timestamp
+          ? new Date(timestamp)
+          : session.startTime || session.scheduledStart,
+        status,
+        source: "manual",
+        overriddenBy: req.user.id,
+        overrideReason: reason,
+        overriddenAt: new Date(),
+      });
+      await attendance.save();
+
+      if (session.active) await touchSession(session);
+      await AttendanceAudit.create({
+        action: "add",
+        sessionId: session._id,
+        studentId: student._id,
+        subjectCode: session.subjectCode,
+        date: session.date,
+        reason,
+        changedBy: req.user.id,
+        after: attendanceSnapshot(attendance),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${student.rollNumber} marked ${status}.`,
+        attendance: {
+          rollNumber: student.rollNumber,
+          subjectCode: attendance.subjectCode,
+          date: attendance.date,
+          status: attendance.status,
+          timestamp: attendance.timestamp,
+          source: attendance.source,
+        },
+      });
+    } catch (error) {
+      // Handle duplicate key error (a scan landed at the same moment)
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "Student already has a record in this session.",
+        });
+      }
+      console.error("Manual attendance add error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add attendance record.",
+      });
+    }
+  },
+);
+
+/**
+ * PUT /attendance/session/:id/attendance/:rollNumber
+ * Correct a student's attendance record in a session.
+ * Body: { reason, status?, timestamp? } (at least one of status/timestamp;
+ * a timestamp must fall within the session)
+ */
+router.put(
+  "/session/:id/attendance/:rollNumber",
+  authenticate,
+  authorize("teacher"),
+  validateAttendanceOverrideChange,
+  async (req, res) => {
+    try {
+      const session = await loadStaffSession(req, res);
+      if (!session) return;
+
+      const { reason, status, timestamp } = req.body;
+      const timeError =
+        timestamp && timestampOutsideSession(session, timestamp);
+      if (timeError) {
+        return res.status(400).json({ success: false, message: timeError });
+      }
+      const student = await User.findOne({
+        rollNumber: req.params.rollNumber,
+        role: "student",
+      });
+      const attendance =
+        student &&
+        (await Attendance.findOne({
+          studentId: student._id,
+          sessionId: session._id,
+        }));
+      if (!attendance) {
+        return res.status(404).json({
+          success: false,
+          message: "No attendance record for this student in this session.",
+        });
+      }
+
+      const before = attendanceSnapshot(attendance);
+      if (status) attendance.status = status;
+      if (timestamp) attendance.timestamp = new Date(timestamp);
+      attendance.overriddenBy = req.user.id;
+      attendance.overrideReason = reason;
+      attendance.overriddenAt = new Date();
+      await attendance.save();
+
+      if (session.active) await touchSession(session);
+      await AttendanceAudit.create({
+        action: "change",
+        sessionId: session._id,
+        studentId: student._id,
+        subjectCode: session.subjectCode,
+        date: session.date,
+        reason,
+        changedBy: req.user.id,
+        before,
+        after: attendanceSnapshot(attendance),
+      });
+
+      res.json({
+        success: true,
+        message: `Attendance for ${student.rollNumber} updated.`,
+        attendance: {
+          rollNumber: student.rollNumber,
+          subjectCode: attendance.subjectCode,
+          date: attendance.date,
+          status: attendance.status,
+          timestamp: attendance.timestamp,
+          source: attendance.source,
+        },
+      });
+    } catch (error) {
+      console.error("Manual attendance change error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update attendance record.",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /attendance/session/:id/attendance/:rollNumber
+ * Revoke a student's attendance in a session (e.g. a fraudulent mark).
+ * Body: { reason }. The removed record is preserved in the audit trail.
+ */
+router.delete(
+  "/session/:id/attendance/:rollNumber",
+  authenticate,
+  authorize("teacher"),
+  validateAttendanceOverrideRemove,
+  async (req, res) => {
+    try {
+      const session = await loadStaffSession(req, res);
+      if (!session) return;
+
+      const { reason } = req.body;
+      const student = await User.findOne({
+        rollNumber: req.params.rollNumber,
+        role: "student",
+      });
+      const attendance =
+        student &&
+        (await Attendance.findOneAndDelete({
+          studentId: student._id,
+          sessionId: session._id,
+        }));
+      if (!attendance) {
+        return res.status(404).json({
+          success: false,
+          message: "No attendance record for this student in this session.",
+        });
+      }
+
+      if (session.active) await touchSession(session);
+      await AttendanceAudit.create({
+        action: "remove",
+        sessionId: session._id,
+        studentId: student._id,
+        subjectCode: session.subjectCode,
+        date: session.date,
+        reason,
+        changedBy: req.user.id,
+        before: attendanceSnapshot(attendance),
+      });
+
+      res.json({
+        success: true,
+        message: `Attendance for ${student.rollNumber} revoked.`,
+      });
+    } catch (error) {
+      console.error("Manual attendance remove error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke attendance record.",
+      });
+    }
+  },
+);
+
+/**
+ * GET /attendance/session/:id/audit
+ * Trail of manual changes made to a session's attendance, newest first.
+ */
+router.get(
+  "/session/:id/audit",
+  authenticate,
+  authorize("teacher"),
+  validateSessionIdParam,
+  async (req, res) => {
+    try {
+      const session = await loadStaffSession(req, res);
+      if (!session) return;
+
+      const entries = await AttendanceAudit.find({ sessionId: session._id })
+        .sort({ createdAt: -1 })
+        .populate("studentId", "name rollNumber")
+        .populate("changedBy", "name");
+
+      res.json({
+        success: true,
+        audit: entries.map((e) => ({
+          action: e.action,
+          name: e.studentId ? e.studentId.name : null,
+          rollNumber: e.studentId ? e.studentId.rollNumber : null,
+          reason: e.reason,
+          changedBy: e.changedBy ? e.changedBy.name : null,
+          before: e.before,
+          after: e.after,
+          createdAt: e.createdAt,
+        })),
+      });
+    } catch (error) {
+      console.error("Get session audit error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve audit trail.",
+      });
+    }
+  },
+);
+
+/**
+ * GET /attendance/session/:id/suspicions
+ * Signs of proxy attendance in a session: shared devices or IPs, bursts of
+ * scans, scans of nearly expired QR frames, success after repeated
+ * rejections, and flagged marks. Suspicious marks are invalidated with
+ * DELETE /attendance/session/:id/attendance/:rollNumber.
  */
 router.get(
-  "/session/:id",
+  "/session/:id/suspicions",
   authenticate,
   authorize("teacher"),
+  validateSessionIdParam,
   async (req, res) => {
     try {
-      const session = await AttendanceSession.findById(req.params.id);
-
-      if (!session) {
-        return res.status(404).json({
-          success: false,
-          message: "Session not found.",
-        });
-      }
+      const session = await loadStaffSession(req, res);
+      if (!session) return;
 
-      // Verify this session belongs to the requesting teacher
-      if (session.teacherId.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: "Access denied.",
-        });
-      }
+      const report = await buildSuspicionReport(session);
 
-      const attendanceCount = await Attendance.countDocuments({
-        sessionId: session._id,
+      res.json({ success: true, ...report });
+    } catch (error) {
+      console.error("Get suspicion report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to build suspicion report.",
       });
+    }
+  },
+);
 
-      res.json({
-        success: true,
-        session: {
-          id: session._id,
-          subjectCode: session.subjectCode,
-          date: session.date,
-          startTime: session.startTime,
-          endTime: session.endTime,
-          active: session.active,
-          attendanceCount,
-        },
-      });
+/**
+ * GET /attendance/session/:id/attempts
+ * Scan attempts for the session, newest first, with rejection reasons.
+ * Optional query: ?outcome=accepted|rejected&rollNumber=&limit= (max 500)
+ */
+router.get(
+  "/session/:id/attempts",
+  authenticate,
+  authorize("teacher"),
+  validateSessionAttempts,
+  async (req, res) => {
+    try {
+      const session = await loadStaffSession(req, res);
+      if (!session) return;
+
+      const attempts = await findAttempts(
+        { sessionId: session._id },
+        req.query,
+      );
+
+      res.json({ success: true, attempts });
     } catch (error) {
-      console.error("Get session error:", error);
+      console.error("Get scan attempts error:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to retrieve session.",
+        message: "Failed to retrieve scan attempts.",
       });
     }
   },
 );
 
+/**
+ * GET /attendance/qr/keys
+ * Public keys QR frames are signed with, as a JWKS-style key set, so kiosks
+ * and the student client can check a frame's signature and freshness before
+ * submitting it. The set is empty when frames are HMAC-signed (only the
+ * server can verify those). serverTime lets verifiers correct for their own
+ * clock (or use /api/time); tokenValidity is the time slot length in seconds
+ * and the tolerances how far outside its validity a frame is still accepted.
+ * No authentication: the keys are public.
+ */
+router.get("/qr/keys", (req, res) => {
+  res.set("Cache-Control", "no-cache");
+  res.json({
+    success: true,
+    alg: SIGNING_ALG,
+    keys: publicKeys(),
+    tokenValidity: QR_TOKEN_VALIDITY,
+    pastTolerance: QR_PAST_TOLERANCE,
+    futureTolerance: QR_FUTURE_TOLERANCE,
+    serverTime: Date.now(),
+  });
+});
+
 /**
  * GET /attendance/qr/current
  * Returns a freshly generated secure QR code image for the teacher's active session.
- * This endpoint is polled every 2 seconds by the frontend to refresh the QR.
+ * Used for one-off checks (e.g., detecting an active session on page load);
+ * live views should use /attendance/qr/stream instead of polling this.
+ * Query: format (png|svg), size (px), margin (modules), dark, light (hex
+ * colours) — how the image is rendered.
  *
  * CRITICAL: This is the sole QR generation endpoint. Frontend NEVER generates QR codes.
  */
@@ -229,6 +1193,7 @@ router.get(
   "/qr/current",
   authenticate,
   authorize("teacher"),
+  validateQRImageQuery,
   async (req, res) => {
     try {
       const teacherId = req.user.id;
@@ -247,21 +1212,15 @@ router.get(
         });
       }
 
-      // Generate a new secure QR payload
-      const { qrData, nonce } = generateQRPayload(
+      // Generate a new secure QR payload (its nonce is recorded when scanned)
+      const { qrData } = generateQRPayload(
         session._id.toString(),
         teacherId,
         session.subjectCode,
       );
 
       // Generate QR code image as data URL
-      const qrImage = await generateQRImage(qrData);
-
-      // Store the nonce in the session for replay attack prevention
-      // Keep only last 100 nonces to prevent unbounded array growth
-      if (session.usedNonces.length > 100) {
-        session.usedNonces = session.usedNonces.slice(-50);
-      }
+      const qrImage = await generateQRImage(qrData, qrImageOptions(req.query));
 
       res.json({
         success: true,
@@ -269,6 +1228,7 @@ router.get(
           image: qrImage,
           sessionId: session._id,
           subjectCode: session.subjectCode,
+          section: session.section,
           generatedAt: Date.now(),
         },
       });
@@ -282,19 +1242,89 @@ router.get(
   },
 );
 
+/**
+ * GET /attendance/qr/stream
+ * Server-Sent Events stream for the teacher's active session.
+ * The server rotates the signed QR frame on its own schedule and pushes it to
+ * every open projector view. Events: "session", "qr", "scan", "ended".
+ * Supports resume via the Last-Event-ID header.
+ * Query: image options as for /attendance/qr/current, per view.
+ */
+router.get(
+  "/qr/stream",
+  authenticate,
+  authorize("teacher"),
+  validateQRImageQuery,
+  async (req, res) => {
+    try {
+      const session = await AttendanceSession.findOne({
+        teacherId: req.user.id,
+        active: true,
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message:
+            "No active attendance session. Please start a session first.",
+        });
+      }
+
+      // Initial counters for the live attendee feed
+      const [presentCount, expectedCount] = await Promise.all([
+        countPresent(session._id),
+        countExpectedStudents(session.subjectCode, session.section),
+      ]);
+
+      sessionStream.subscribe(
+        session,
+        req,
+        res,
+        { presentCount, expectedCount },
+        qrImageOptions(req.query),
+      );
+    } catch (error) {
+      console.error("QR stream error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: "Failed to open QR stream.",
+        });
+      }
+    }
+  },
+);
+
 /**
  * POST /attendance/scan
- * Student submits a scanned QR payload for attendance marking.
+ * Student submits a scanned QR payload for attendance marking, with the
+ * browser's location when it is available and the device's registration.
+ * Body: { qrPayload, location?: { latitude, longitude, accuracy? },
+ *         device?: { id, token }, clientTime? (ms), clockOffset? (ms, server
+ *         clock minus the device's as measured against /api/time) }
+ * clientTime and clockOffset only go to the scan log.
  *
  * Validation pipeline:
  * 1. Decode & decompress QR payload
  * 2. Verify cryptographic signature
  * 3. Check timestamp freshness
  * 4. Verify session is active
- * 5. Check nonce hasn't been reused (replay prevention)
- * 6. Verify student department matches subject department
- * 7. Prevent duplicate attendance (same subject, same day)
- * 8. Record attendance
+ * 5. Check the frame's nonce hasn't been used up (replay prevention; see
+ *    utils/nonces.js for the single/shared frame modes)
+ * 6. Verify student is enrolled in the subject (current term roster),
+ *    in the session's section if it has one
+ * 7. Check the device is registered to the student and has not marked
+ *    anyone else this session, and the location is inside the session's
+ *    geofence, if it has one: unregistered devices and scans outside the
+ *    fence are rejected ("strict") or flagged ("flag"); scans without a
+ *    device token are flagged as such
+ * 8. Prevent duplicate attendance (same student, same session)
+ * 9. Consume the nonce atomically, then record attendance (late once the
+ *    session's late cutoff has passed)
+ *
+ * Every outcome that can be attributed to a live session (accepted or
+ * rejected) is published to the teacher's live attendee feed, and every
+ * attempt is logged as a ScanAttempt with its outcome and rejection reason.
  */
 router.post(
   "/scan",
@@ -302,130 +1332,267 @@ router.post(
   authorize("student"),
   validateAttendanceScan,
   async (req, res) => {
+    const studentUserId = req.user.id;
+    let session = null;
+    let studentUser = null;
+    let qrAgeSeconds = null;
+    const receivedAt = Date.now();
+
+    // Log the attempt; a failed write never fails the scan
+    const logAttempt = (accepted, reason) =>
+      ScanAttempt.create({
+        studentId: studentUserId,
+        sessionId: session ? session._id : null,
+        subjectCode: session ? session.subjectCode : null,
+        accepted,
+        reason,
+        ip: req.ip,
+        deviceId: req.body.device ? req.body.device.id : null,
+        userAgent: (req.get("user-agent") || "").substring(0, 300) || null,
+        qrAgeSeconds,
+        // Measured by the device if it synced its clock; otherwise estimated
+        // (including the upload time) from its clock at sending
+        clockSkewMs:
+          req.body.clockOffset != null
+            ? -req.body.clockOffset
+            : req.body.clientTime != null
+              ? req.body.clientTime - receivedAt
+              : null,
+      }).catch((err) => console.error("Scan attempt log error:", err));
+
+    // Reject the scan and, if the session is known, report it to the feed
+    const reject = (status, message) => {
+      logAttempt(false, message);
+      if (session) {
+        sessionStream.publish(session, "scan", {
+          accepted: false,
+          name: studentUser ? studentUser.name : null,
+          rollNumber: req.user.rollNumber,
+          reason: message,
+          timestamp: new Date(),
+        });
+      }
+      return res.status(status).json({ success: false, message });
+    };
+
     try {
       const { qrPayload } = req.body;
-      const studentUserId = req.user.id;
 
       // ─── Step 1-3: Validate QR payload (decode, decompress, verify signature, check timestamp) ───
       const validation = validateQRPayload(qrPayload);
+      if (validation.payload) {
+        qrAgeSeconds =
+          Math.floor(Date.now() / 1000) - validation.payload.timestamp;
+      }
       if (!validation.valid) {
-        return res.status(400).json({
-          success: false,
-          message: validation.error,
-        });
+        // Authentic but stale codes still identify their session
+        if (validation.payload) {
+          session = await AttendanceSession.findById(
+            validation.payload.sessionId,
+          );
+          studentUser = await User.findById(studentUserId);
+        }
+        return reject(400, validation.error);
       }
 
       const { sessionId, teacherId, subjectCode, nonce } = validation.payload;
 
       // ─── Step 4: Verify session is active ───
-      const session = await AttendanceSession.findById(sessionId);
+      session = await AttendanceSession.findById(sessionId);
       if (!session) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid attendance session.",
-        });
+        return reject(400, "Invalid attendance session.");
       }
 
+      studentUser = await User.findById(studentUserId);
+
       if (!session.active) {
-        return res.status(400).json({
-          success: false,
-          message: "This attendance session has ended.",
-        });
+        return reject(400, "This attendance session has ended.");
+      }
+
+      // Close sessions that expired before the background job caught them
+      const expired = expiryReason(session);
+      if (expired) {
+        await closeSession(session, expired);
+        return reject(400, "This attendance session has ended.");
       }
 
       // Verify teacher ID matches session
       if (session.teacherId.toString() !== teacherId) {
-        return res.status(400).json({
-          success: false,
-          message: "QR code does not match the session teacher.",
-        });
+        return reject(400, "QR code does not match the session teacher.");
       }
 
       // ─── Step 5: Check nonce for replay attack prevention ───
-      if (session.usedNonces.includes(nonce)) {
-        return res.status(400).json({
-          success: false,
-          message:
-            "This QR code has already been used. Please scan the latest QR code.",
-        });
+      if (await isNonceUsed(nonce, studentUserId)) {
+        return reject(400, QR_ALREADY_USED);
       }
 
-      // ─── Step 6: Verify student department matches subject ───
-      const studentUser = await User.findById(studentUserId);
+      // ─── Step 6: Verify student is on the subject's roster ───
       if (!studentUser) {
-        return res.status(404).json({
-          success: false,
-          message: "Student not found.",
-        });
+        return reject(404, "Student not found.");
       }
 
       const subject = await Subject.findOne({
         subjectCode: subjectCode.toUpperCase(),
       });
       if (!subject) {
-        return res.status(400).json({
-          success: false,
-          message: "Subject not found.",
-        });
+        return reject(400, "Subject not found.");
       }
 
+      const enrollment = await Enrollment.findOne({
+        studentId: studentUserId,
+        subjectCode: subject.subjectCode,
+        term: Enrollment.currentTerm(),
+      }).select("section");
+      if (!enrollment) {
+        return reject(403, "You are not enrolled in this subject.");
+      }
+      if (session.section && enrollment.section !== session.section) {
+        return reject(
+          403,
+          `This session is for section ${session.section}; you are in section ${enrollment.section}.`,
+        );
+      }
+
+      // ─── Step 7: Check the device and the scan's location ───
+      const device = await checkDevice(studentUserId, req.body.device || null);
+      if (!device.registered && DEVICE_BINDING_MODE === "strict") {
+        return reject(
+          403,
+          "This device is not registered to your account. Open your dashboard on it to register, or ask an admin to reset your devices.",
+        );
+      }
       if (
-        studentUser.department.toLowerCase() !==
-        subject.department.toLowerCase()
+        device.deviceId &&
+        (await Attendance.exists({
+          sessionId: session._id,
+          deviceId: device.deviceId,
+          studentId: { $ne: studentUserId },
+        }))
       ) {
-        return res.status(403).json({
-          success: false,
-          message: "Your department does not match this subject's department.",
-        });
+        return reject(403, DEVICE_ALREADY_USED);
+      }
+      // Without a genuine token the one-device check above cannot apply, so
+      // the flag says when others in the session scanned from their devices
+      let deviceReason = device.reason;
+      if (
+        !device.deviceId &&
+        (await Attendance.exists({
+          sessionId: session._id,
+          deviceId: { $type: "string" },
+        }))
+      ) {
+        deviceReason += " in a session marked from registered devices";
+      }
+
+      const location = req.body.location
+        ? {
+            latitude: req.body.location.latitude,
+            longitude: req.body.location.longitude,
+            accuracy:
+              req.body.location.accuracy != null
+                ? req.body.location.accuracy
+                : null,
+          }
+        : null;
+      const fence = session.geofence
+        ? checkLocation(session.geofence, location)
+        : null;
+      if (fence && fence.outside && session.geofence.mode === "strict") {
+        return reject(
+          403,
+          location
+            ? `You are outside ${session.room} (about ${fence.distanceMeters} m away).`
+            : "Location is required for this session. Allow location access and scan again.",
+        );
       }
 
-      // ─── Step 7: Prevent duplicate attendance (same student + subject + day) ───
-      const today = new Date().toISOString().split("T")[0];
-      const existingAttendance = await Attendance.findOne({
+      const flags = [deviceReason, fence && fence.reason].filter(Boolean);
+
+      // ─── Step 8: Prevent duplicate attendance (same student + session) ───
+      const existingAttendance = await Attendance.exists({
         studentId: studentUserId,
-        subjectCode: subjectCode.toUpperCase(),
-        date: today,
+        sessionId: session._id,
       });
 
       if (existingAttendance) {
-        return res.status(400).json({
-          success: false,
-          message: "You have already marked attendance for this subject today.",
-        });
+        return reject(
+          400,
+          "You have already marked attendance for this session.",
+        );
+      }
+
+      // ─── Step 9: Consume the nonce and record attendance ───
+      // Only one of several concurrent scans of a frame can consume it
+      if (!(await consumeNonce(validation.payload, studentUserId))) {
+        return reject(400, QR_ALREADY_USED);
       }
 
-      // ─── Step 8: Record attendance and store nonce ───
+      const scannedAt = new Date();
       const attendance = new Attendance({
         studentId: studentUserId,
         subjectCode: subjectCode.toUpperCase(),
         sessionId: session._id,
-        date: today,
-        timestamp: new Date(),
+        date: session.date,
+        timestamp: scannedAt,
+        status: statusForScan(session, scannedAt),
+        location,
+        distanceMeters: fence ? fence.distanceMeters : null,
+        deviceId: device.deviceId,
+        flagged: flags.length > 0,
+        flagReason: flags.join("; ") || null,
       });
-      await attendance.save();
+      try {
+        await attendance.save();
+      } catch (error) {
+        // Nothing was recorded, so the frame is not used up
+        await releaseNonce(validation.payload, studentUserId).catch(() => {});
+        throw error;
+      }
 
-      // Mark nonce as used to prevent replay
-      session.usedNonces.push(nonce);
+      // The scan keeps the session alive
+      session.lastActivityAt = scannedAt;
       await session.save();
+      logAttempt(true, null);
+
+      // Report to the teacher's live feed with the running counter
+      const [presentCount, expectedCount] = await Promise.all([
+        countPresent(session._id),
+        countExpectedStudents(subject.subjectCode, session.section),
+      ]);
+      sessionStream.publish(session, "scan", {
+        accepted: true,
+        name: studentUser.name,
+        rollNumber: studentUser.rollNumber,
+        status: attendance.status,
+        timestamp: attendance.timestamp,
+        flagged: attendance.flagged,
+        flagReason: attendance.flagReason,
+        presentCount,
+        expectedCount,
+      });
 
       res.status(201).json({
         success: true,
-        message: `Attendance marked successfully for ${subjectCode}.`,
+        message:
+          attendance.status === "late"
+            ? `Attendance marked for ${subjectCode} (late).`
+            : `Attendance marked successfully for ${subjectCode}.`,
         attendance: {
           subjectCode: attendance.subjectCode,
           date: attendance.date,
+          status: attendance.status,
           timestamp: attendance.timestamp,
         },
       });
     } catch (error) {
       // Handle duplicate key error (race condition safety net)
       if (error.code === 11000) {
-        return res.status(400).json({
-          success: false,
-          message: "Attendance already marked for this subject today.",
-        });
+        return error.keyPattern && error.keyPattern.deviceId
+          ? reject(403, DEVICE_ALREADY_USED)
+          : reject(400, "Attendance already marked for this session.");
       }
       console.error("Scan attendance error:", error);
+      logAttempt(false, "Server error");
       res.status(500).json({
         success: false,
         message: "Failed to mark attendance.",
@@ -434,10 +1601,67 @@ router.post(
   },
 );
 
+/**
+ * GET /attendance/student/history
+ * Returns a chronological list of all attendance records for the student.
+ * Records a teacher added or changed by hand carry overridden: true and the
+ * reason; marks a teacher revoked appear as entries with revoked: true.
+ * Registered before /student/:subjectCode so "history" is not read as a code.
+ */
+router.get(
+  "/student/history",
+  authenticate,
+  authorize("student"),
+  async (req, res) => {
+    try {
+      const studentId = req.user.id;
+      const [records, revocations] = await Promise.all([
+        Attendance.find({ studentId }).sort({ timestamp: -1 }).limit(50),
+        AttendanceAudit.find({ studentId, action: "remove" })
+          .sort({ createdAt: -1 })
+          .limit(50),
+      ]);
+
+      const history = [
+        ...records.map((r) => ({
+          ...r.toObject(),
+          overridden: !!r.overriddenAt,
+        })),
+        ...revocations.map((a) => ({
+          _id: a._id,
+          subjectCode: a.subjectCode,
+          sessionId: a.sessionId,
+          date: a.date,
+          timestamp: a.before ? a.before.timestamp : a.createdAt,
+          revoked: true,
+          revokedAt: a.createdAt,
+          overrideReason: a.reason,
+        })),
+      ]
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, 50);
+
+      res.json({
+        success: true,
+        history,
+      });
+    } catch (error) {
+      console.error("Get attendance history error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve attendance history.",
+      });
+    }
+  },
+);
+
 /**
  * GET /attendance/student/:subjectCode
  * Student views their attendance stats for a specific subject.
- * Returns: total classes conducted, classes attended, attendance percentage.
+ * Returns: total classes conducted for the student's section, classes
+ * attended, a per-status breakdown
+ * (approved leave counts as excused), and the attendance percentage weighted
+ * by the attendance policy.
  */
 router.get(
   "/student/:subjectCode",
@@ -449,29 +1673,49 @@ router.get(
       const studentUserId = req.user.id;
       const subjectCode = req.params.subjectCode.toUpperCase();
 
-      // Get total sessions (unique dates) for this subject
-      const totalSessions = await AttendanceSession.distinct("date", {
-        subjectCode,
-      });
-
-      // Get student's attendance records for this subject
-      const attended = await Attendance.countDocuments({
-        studentId: studentUserId,
-        subjectCode,
-      });
+      // Classes (sessions) held this term for the student's section
+      const term = Enrollment.currentTerm();
+      const inTerm = termDateFilter(term);
+      const [held, enrollment] = await Promise.all([
+        classSessions(subjectCode, inTerm),
+        Enrollment.findOne({
+          studentId: studentUserId,
+          subjectCode,
+          term,
+        }).select("section"),
+      ]);
+      const totalSessions = enrollment
+        ? held.forSection(enrollment.section)
+        : held.all;
+
+      // Get student's attendance records and approved leave for this subject
+      const [records, leave] = await Promise.all([
+        Attendance.find({
+          studentId: studentUserId,
+          subjectCode,
+          ...inTerm,
+        }).select("sessionId status"),
+        LeaveRequest.approvedRanges(subjectCode, [studentUserId]),
+      ]);
 
       const totalClasses = totalSessions.length;
-      const percentage =
-        totalClasses > 0
-          ? Math.round((attended / totalClasses) * 100 * 100) / 100
-          : 0;
+      const statusCounts = countStatuses(
+        withApprovedLeave(records, totalSessions, leave.get(studentUserId)),
+      );
+      const { attended, weighted, percentage } = computeAttendance(
+        statusCounts,
+        totalClasses,
+      );
 
       res.json({
         success: true,
         attendance: {
           subjectCode,
+          section: enrollment ? enrollment.section : null,
           totalClasses,
           classesAttended: attended,
+          weightedAttended: weighted,
+          statusCounts,
           percentage,
         },
       });
@@ -487,68 +1731,115 @@ router.get(
 
 /**
  * GET /attendance/subject/:subjectCode/summary
- * Teacher views attendance summary for all students in a subject.
- * Returns a table with: name, roll number, total classes, attended, percentage.
+ * Teacher views attendance summary for all students enrolled in a subject.
+ * Returns a table with: name, roll number, section, total classes (held for
+ * the student's section), attended, per-status counts, and the
+ * policy-weighted percentage.
+ * Optional query: ?term=2025-FALL (defaults to the current term; its roster
+ * and the sessions held within its dates), ?section=A. Staff limited to some
+ * sections only see those.
  */
 router.get(
   "/subject/:subjectCode/summary",
   authenticate,
   authorize("teacher"),
   validateSubjectCodeParam,
+  validateTermQuery,
+  validateSectionQuery,
   async (req, res) => {
     try {
       const subjectCode = req.params.subjectCode.toUpperCase();
-      const teacherId = req.user.id;
+      const term = req.query.term || Enrollment.currentTerm();
 
       // Verify teacher teaches this subject
-      const teacher = await Teacher.findOne({ userId: teacherId });
-      if (!teacher || !teacher.subjectCodes.includes(subjectCode)) {
+      const access = await Subject.forStaff(subjectCode, req.user.id);
+      if (!access) {
         return res.status(403).json({
           success: false,
           message: "You do not teach this subject.",
         });
       }
+      const sections = visibleSections(access.staff, req.query.section, res);
+      if (sections === undefined) return;
+
+      // Classes (sessions) held in the term, per section
+      const inTerm = termDateFilter(term);
+      const held = await classSessions(subjectCode, inTerm);
+      const totalClasses =
+        sections && sections.length === 1
+          ? held.forSection(sections[0]).length
+          : held.all.length;
+
+      // Get the subject's roster for the term
+      const rosterFilter = { subjectCode, term };
+      if (sections) rosterFilter.section = { $in: sections };
+      const enrollments = await Enrollment.find(rosterFilter).populate(
+        "studentId",
+        "_id name rollNumber",
+      );
 
-      // Get subject info for department matching
-      const subject = await Subject.findOne({ subjectCode });
-      if (!subject) {
-        return res.status(404).json({
-          success: false,
-          message: "Subject not found.",
+      // Manual overrides per student, so they can be shown distinctly,
+      // and approved leave, which counts as excused
+      const [overridden, revoked, leave] = await Promise.all([
+        Attendance.find({
+          subjectCode,
+          overriddenAt: { $ne: null },
+          ...inTerm,
+        }).select("studentId"),
+        AttendanceAudit.find({
+          subjectCode,
+          action: "remove",
+          ...inTerm,
+        }).select("studentId"),
+        LeaveRequest.approvedRanges(subjectCode),
+      ]);
+      const tally = (docs) => {
+        const counts = new Map();
+        docs.forEach((d) => {
+          const key = d.studentId.toString();
+          counts.set(key, (counts.get(key) || 0) + 1);
         });
-      }
-
-      // Get total sessions (unique dates) for this subject
-      const totalSessions = await AttendanceSession.distinct("date", {
-        subjectCode,
-      });
-      const totalClasses = totalSessions.length;
-
-      // Get all students in the same department
-      const students = await User.find({
-        role: "student",
-        department: { $regex: new RegExp(`^${subject.department}$`, "i") },
-      }).select("_id name rollNumber");
+        return counts;
+      };
+      const overriddenCounts = tally(overridden);
+      const revokedCounts = tally(revoked);
 
-      // Build summary for each student
+      // Build summary for each enrolled student
       const summary = [];
-      for (const student of students) {
-        const attended = await Attendance.countDocuments({
+      for (const enrollment of enrollments) {
+        const student = enrollment.studentId;
+        if (!student) continue; // Skip enrollments of deleted users
+
+        const records = await Attendance.find({
           studentId: student._id,
           subjectCode,
-        });
-
-        const percentage =
-          totalClasses > 0
-            ? Math.round((attended / totalClasses) * 100 * 100) / 100
-            : 0;
+          ...inTerm,
+        }).select("sessionId status");
+
+        const sectionSessions = held.forSection(enrollment.section);
+        const statusCounts = countStatuses(
+          withApprovedLeave(
+            records,
+            sectionSessions,
+            leave.get(student._id.toString()),
+          ),
+        );
+        const { attended, weighted, percentage } = computeAttendance(
+          statusCounts,
+          sectionSessions.length,
+        );
 
         summary.push({
           name: student.name,
           rollNumber: student.rollNumber,
-          totalClasses,
+          section: enrollment.section,
+          totalClasses: sectionSessions.length,
           classesAttended: attended,
+          weightedAttended: weighted,
+          statusCounts,
           percentage,
+          overriddenMarks: overriddenCounts.get(student._id.toString()) || 0,
+          revokedMarks: revokedCounts.get(student._id.toString()) || 0,
         });
       }
 
@@ -558,6 +1849,9 @@ router.get(
       res.json({
         success: true,
         subjectCode,
+        term,
+        sections: access.subject.sections,
+        section: sections && sections.length === 1 ? sections[0] : null,
         totalClasses,
         students: summary,
       });
@@ -572,29 +1866,163 @@ router.get(
 );
 
 /**
- * GET /attendance/student/history
- * Returns a chronological list of all attendance records for the student.
+ * Build an attendance register: the subject's roster × the term's sessions
+ * in range, with a status mark (P/L/E/M/A) per session and per-student
+ * totals. Sessions held for another section than a student's are marked "-"
+ * and not counted.
+ * @param {object} options - { subjectCode, term, from, to, sections }
+ *   (from/to: YYYY-MM-DD, optional; sections: limit the roster, null = all)
+ * @returns {Promise<object>} Register data (see utils/registerExport.js)
+ */
+async function buildRegister({ subjectCode, term, from, to, sections }) {
+  const inRange = termDateFilter(term, from, to);
+
+  const classesHeld = await classSessions(subjectCode, inRange);
+  const sessions =
+    sections && sections.length === 1
+      ? classesHeld.forSection(sections[0])
+      : classesHeld.all;
+
+  const rosterFilter = { subjectCode, term };
+  if (sections) rosterFilter.section = { $in: sections };
+  const enrollments = await Enrollment.find(rosterFilter).populate(
+    "studentId",
+    "_id name rollNumber",
+  );
+  const roster = enrollments.filter((e) => e.studentId);
+
+  const studentIds = roster.map((e) => e.studentId._id);
+  const [records, leave] = await Promise.all([
+    Attendance.find({
+      subjectCode,
+      studentId: { $in: studentIds },
+      ...inRange,
+    }).select("studentId sessionId status"),
+    LeaveRequest.approvedRanges(subjectCode, studentIds),
+  ]);
+
+  // studentId -> (sessionId -> status)
+  const statusBySession = new Map();
+  for (const r of records) {
+    const key = r.studentId.toString();
+    if (!statusBySession.has(key)) statusBySession.set(key, new Map());
+    statusBySession.get(key).set(r.sessionId.toString(), r.status || "present");
+  }
+
+  const students = roster
+    .map((e) => {
+      const key = e.studentId._id.toString();
+      const statuses = statusBySession.get(key) || new Map();
+      const held = new Set(classesHeld.forSection(e.section));
+      const perSession = sessions.map((s) =>
+        !held.has(s)
+          ? null
+          : statuses.get(s._id.toString()) ||
+            (LeaveRequest.covers(leave.get(key), s.date)
+              ? "excused"
+              : "absent"),
+      );
+      const counted = perSession.filter(Boolean);
+      const { attended, percentage } = computeAttendance(
+        countStatuses(counted.map((status) => ({ status }))),
+        counted.length,
+      );
+      return {
+        name: e.studentId.name,
+        rollNumber: e.studentId.rollNumber,
+        section: e.section,
+        marks: perSession.map((s) => (s ? STATUS_MARKS[s] : "-")),
+        attended,
+        totalClasses: counted.length,
+        percentage,
+      };
+    })
+    .sort((a, b) => a.rollNumber.localeCompare(b.rollNumber));
+
+  return {
+    subjectCode,
+    term,
+    section: sections && sections.length === 1 ? sections[0] : null,
+    from: from || null,
+    to: to || null,
+    generatedAt: new Date(),
+    sessions: sessions.map((s) => ({
+      date: s.date,
+      startTime: s.startTime,
+      section: s.section,
+    })),
+    students,
+  };
+}
+
+/**
+ * GET /attendance/subject/:subjectCode/export
+ * Download the attendance register for a subject as a file.
+ * Query: format=csv|xlsx|pdf, optional from/to (YYYY-MM-DD), term and section.
  */
 router.get(
-  "/student/history",
+  "/subject/:subjectCode/export",
   authenticate,
-  authorize("student"),
+  authorize("teacher"),
+  validateRegisterExport,
   async (req, res) => {
     try {
-      const studentId = req.user.id;
-      const history = await Attendance.find({ studentId })
-        .sort({ timestamp: -1 })
-        .limit(50);
+      const subjectCode = req.params.subjectCode;
+      const { format, from, to } = req.query;
+      const term = req.query.term || Enrollment.currentTerm();
 
-      res.json({
-        success: true,
-        history,
+      // Verify teacher teaches this subject
+      const access = await Subject.forStaff(subjectCode, req.user.id);
+      if (!access) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not teach this subject.",
+        });
+      }
+      const sections = visibleSections(access.staff, req.query.section, res);
+      if (sections === undefined) return;
+
+      if (from && to && from > to) {
+        return res.status(400).json({
+          success: false,
+          message: "The start date must be on or before the end date.",
+        });
+      }
+
+      const register = await buildRegister({
+        subjectCode,
+        term,
+        from,
+        to,
+        sections,
+      });
+      const baseName = `attendance-${subjectCode}${register.section ? "-" + register.section : ""}-${term}${from ? "-from-" + from : ""}${to ? "-to-" + to : ""}`;
+
+      let body;
+      let contentType;
+      if (format === "csv") {
+        body = registerExport.toCSV(register);
+        contentType = "text/csv; charset=utf-8";
+      } else if (format === "xlsx") {
+        body = await registerExport.toXLSX(register);
+        contentType =
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+      } else {
+        body = await registerExport.toPDF(register);
+        contentType = "application/pdf";
+      }
+
+      res.set({
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="${baseName}.${format}"`,
+        "Cache-Control": "no-store",
       });
+      res.send(body);
     } catch (error) {
-      console.error("Get attendance history error:", error);
+      console.error("Export register error:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to retrieve attendance history.",
+        message: "Failed to export attendance register.",
       });
     }
   },
@@ -602,7 +2030,8 @@ router.get(
 
 /**
  * GET /attendance/teacher/sessions
- * Returns a list of all historical sessions held by the teacher.
+ * Returns a list of all historical sessions held by the teacher, with the
+ * number of students present and of marks flagged when scanned.
  */
 router.get(
   "/teacher/sessions",
@@ -611,17 +2040,24 @@ router.get(
   async (req, res) => {
     try {
       const teacherId = req.user.id;
-      const sessions = await AttendanceSession.find({ teacherId })
+      const sessions = await AttendanceSession.find({
+        teacherId,
+        startTime: { $ne: null },
+      })
         .sort({ startTime: -1 })
         .limit(50);
 
-      // Add attendance count for each session
+      // Add attendance and flagged-mark counts for each session
       const sessionsWithCount = await Promise.all(
         sessions.map(async (s) => {
-          const count = await Attendance.countDocuments({ sessionId: s._id });
+          const [count, flaggedCount] = await Promise.all([
+            countPresent(s._id),
+            Attendance.countDocuments({ sessionId: s._id, flagged: true }),
+          ]);
           return {
             ...s.toObject(),
             attendanceCount: count,
+            flaggedCount,
           };
         }),
       );
@@ -643,34 +2079,42 @@ router.get(
 /**
  * GET /attendance/subjects
  * Returns all subjects relevant to the authenticated user.
- * For students: All subjects in their department.
+ * For students: All subjects they are enrolled in this term.
  * For teachers: All subjects they are assigned to teach.
  */
-router.get("/subjects", authenticate, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const role = req.user.role;
+router.get(
+  "/subjects",
+  authenticate,
+  authorize("student", "teacher"),
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const role = req.user.role;
 
-    if (role === "student") {
-      const user = await User.findById(userId);
-      const subjects = await Subject.find({
-        department: { $regex: new RegExp(`^${user.department}$`, "i") },
-      });
-      return res.json({ success: true, subjects });
-    } else {
-      const teacher = await Teacher.findOne({ userId });
-      const subjects = await Subject.find({
-        subjectCode: { $in: teacher.subjectCodes },
+      if (role === "student") {
+        const subjectCodes = await Enrollment.distinct("subjectCode", {
+          studentId: userId,
+          term: Enrollment.currentTerm(),
+        });
+        const subjects = await Subject.find({
+          subjectCode: { $in: subjectCodes },
+        });
+        return res.json({ success: true, subjects });
+      } else {
+        const teacher = await Teacher.findOne({ userId });
+        const subjects = await Subject.find({
+          subjectCode: { $in: teacher.subjectCodes },
+        });
+        return res.json({ success: true, subjects });
+      }
+    } catch (error) {
+      console.error("Get subjects error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve subjects.",
       });
-      return res.json({ success: true, subjects });
     }
-  } catch (error) {
-    console.error("Get subjects error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to retrieve subjects.",
-    });
-  }
-});
+  },
+);
 
 module.exports = router;
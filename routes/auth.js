@@ -1,30 +1,61 @@
 /**
  * Authentication Routes
- * Handles student and teacher registration and login.
+ * Handles student and teacher registration and login, and admin login.
+ * Admin accounts cannot self-register; create the first one with
+ * `npm run create-admin` and further ones from the admin dashboard.
+ *
+ * Logging in (or registering) returns a short-lived access token and sets a
+ * refresh token cookie, traded for new access tokens at /auth/refresh (see
+ * utils/authTokens.js).
  *
  * Endpoints:
  * - POST /auth/student/register
  * - POST /auth/student/login
  * - POST /auth/teacher/register
  * - POST /auth/teacher/login
+ * - POST /auth/admin/login
+ * - POST /auth/refresh
+ * - POST /auth/logout
+ * - POST /auth/logout-all
  */
 
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const router = express.Router();
 
 const User = require("../models/User");
 const Student = require("../models/Student");
 const Teacher = require("../models/Teacher");
 const Subject = require("../models/Subject");
+const { authenticate } = require("../middleware/auth");
+const {
+  clearRefreshCookie,
+  startSession,
+  refreshSession,
+  endSession,
+  revokeAllSessions,
+} = require("../utils/authTokens");
 
 const {
   validateStudentRegister,
   validateTeacherRegister,
   validateStudentLogin,
   validateTeacherLogin,
+  validateAdminLogin,
 } = require("../middleware/validate");
 
+/**
+ * Rejects logins to accounts an admin has disabled
+ * @returns {boolean} true if a response was sent
+ */
+function rejectDisabled(user, res) {
+  if (!user.disabled) return false;
+  res.status(403).json({
+    success: false,
+    message: "This account has been disabled. Contact an administrator.",
+  });
+  return true;
+}
+
 /**
  * POST /auth/student/register
  * Register a new student account.
@@ -72,12 +103,7 @@ router.post("/student/register", validateStudentRegister, async (req, res) => {
     });
     await student.save();
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user._id, role: "student", rollNumber: user.rollNumber },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" },
-    );
+    const token = await startSession(user, req, res);
 
     res.status(201).json({
       success: true,
@@ -133,16 +159,12 @@ router.post("/student/login", validateStudentLogin, async (req, res) => {
         message: "Invalid roll number or password.",
       });
     }
+    if (rejectDisabled(user, res)) return;
 
     // Get student details
     const student = await Student.findOne({ userId: user._id });
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user._id, role: "student", rollNumber: user.rollNumber },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" },
-    );
+    const token = await startSession(user, req, res);
 
     res.json({
       success: true,
@@ -171,7 +193,9 @@ router.post("/student/login", validateStudentLogin, async (req, res) => {
 /**
  * POST /auth/teacher/register
  * Register a new teacher account.
- * Creates User, Teacher, and Subject documents.
+ * Creates User, Teacher, and Subject documents. Subject codes that already
+ * exist belong to another teacher and are refused; an admin assigns
+ * additional teachers to existing subjects.
  */
 router.post("/teacher/register", validateTeacherRegister, async (req, res) => {
   try {
@@ -188,7 +212,20 @@ router.post("/teacher/register", validateTeacherRegister, async (req, res) => {
     }
 
     // Normalize subject codes to uppercase
-    const normalizedCodes = subjectCodes.map((code) => code.toUpperCase());
+    const normalizedCodes = [
+      ...new Set(subjectCodes.map((code) => code.toUpperCase())),
+    ];
+
+    // Registering must never take over an existing subject
+    const takenCodes = await Subject.distinct("subjectCode", {
+      subjectCode: { $in: normalizedCodes },
+    });
+    if (takenCodes.length) {
+      return res.status(409).json({
+        success: false,
+        message: `Subject ${takenCodes.join(", ")} already exists. Ask an administrator to assign you to it.`,
+      });
+    }
 
     // Create user document
     const user = new User({
@@ -208,26 +245,18 @@ router.post("/teacher/register", validateTeacherRegister, async (req, res) => {
     });
     await teacher.save();
 
-    // Create/update subject documents for each subject code
-    for (const code of normalizedCodes) {
-      await Subject.findOneAndUpdate(
-        { subjectCode: code },
-        {
-          subjectCode: code,
-          department,
-          teacherId: user._id,
-        },
-        { upsert: true, new: true },
-      );
-    }
-
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user._id, role: "teacher", email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" },
+    // Create a subject document for each new subject code
+    await Subject.insertMany(
+      normalizedCodes.map((code) => ({
+        subjectCode: code,
+        department,
+        teacherId: user._id,
+        instructors: [{ userId: user._id, role: "instructor" }],
+      })),
     );
 
+    const token = await startSession(user, req, res);
+
     res.status(201).json({
       success: true,
       message: "Teacher registered successfully.",
@@ -278,16 +307,12 @@ router.post("/teacher/login", validateTeacherLogin, async (req, res) => {
         message: "Invalid email or password.",
       });
     }
+    if (rejectDisabled(user, res)) return;
 
     // Get teacher details
     const teacher = await Teacher.findOne({ userId: user._id });
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user._id, role: "teacher", email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" },
-    );
+    const token = await startSession(user, req, res);
 
     res.json({
       success: true,
@@ -312,4 +337,105 @@ router.post("/teacher/login", validateTeacherLogin, async (req, res) => {
   }
 });
 
+/**
+ * POST /auth/admin/login
+ * Authenticate an admin using Email + Password.
+ * Returns JWT token on success.
+ */
+router.post("/admin/login", validateAdminLogin, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email, role: "admin" });
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password.",
+      });
+    }
+    if (rejectDisabled(user, res)) return;
+
+    const token = await startSession(user, req, res);
+
+    res.json({
+      success: true,
+      message: "Login successful.",
+      token,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+      },
+    });
+  } catch (error) {
+    console.error("Admin login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Login failed. Please try again.",
+    });
+  }
+});
+
+/**
+ * POST /auth/refresh
+ * Trade the refresh token cookie for a new access token (the cookie is
+ * replaced too).
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { token, status, reason } = await refreshSession(req, res);
+    if (!token) {
+      return res.status(status).json({ success: false, message: reason });
+    }
+    res.json({ success: true, token });
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Could not refresh the session. Please try again.",
+    });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * End this device's session: its access and refresh tokens stop working.
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    await endSession(req, res);
+    res.json({ success: true, message: "Logged out successfully." });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Logout failed. Please try again.",
+    });
+  }
+});
+
+/**
+ * POST /auth/logout-all
+ * End every session of the signed-in user, on all devices (this one too).
+ */
+router.post("/logout-all", authenticate, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id);
+    clearRefreshCookie(res);
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session(s).`,
+      count,
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Logout failed. Please try again.",
+    });
+  }
+});
+
 module.exports = router;
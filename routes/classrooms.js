@@ -0,0 +1,160 @@
+/**
+ * Classroom Routes
+ * Saved room locations for geofenced attendance. Teachers set a room's
+ * location from their device while in the room; once saved, only that
+ * teacher (the last to save it) or an admin can change it. Admins can also
+ * remove rooms. Sessions pick up a room's fence when they open, so changes apply
+ * to the next session held there (see utils/geofence.js).
+ *
+ * Endpoints:
+ * - GET    /classrooms      (teacher, admin)
+ * - POST   /classrooms      (teacher, admin - save a room's location)
+ * - DELETE /classrooms/:id  (admin)
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const Classroom = require("../models/Classroom");
+
+const { authenticate, authorize } = require("../middleware/auth");
+const {
+  validateClassroom,
+  validateObjectIdParam,
+} = require("../middleware/validate");
+const { DEFAULT_MODE } = require("../utils/geofence");
+
+/**
+ * A classroom as returned by the API
+ */
+function classroomView(classroom) {
+  return {
+    id: classroom._id,
+    name: classroom.name,
+    latitude: classroom.latitude,
+    longitude: classroom.longitude,
+    radiusMeters: classroom.radiusMeters,
+    mode: classroom.mode,
+    effectiveMode: classroom.mode || DEFAULT_MODE,
+    updatedAt: classroom.updatedAt,
+  };
+}
+
+/**
+ * GET /classrooms
+ * All rooms with a saved location, by name.
+ */
+router.get(
+  "/",
+  authenticate,
+  authorize("teacher", "admin"),
+  async (req, res) => {
+    try {
+      const classrooms = await Classroom.find().sort({ name: 1 });
+
+      res.json({
+        success: true,
+        defaultMode: DEFAULT_MODE,
+        classrooms: classrooms.map(classroomView),
+      });
+    } catch (error) {
+      console.error("Get classrooms error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve classrooms.",
+      });
+    }
+  },
+);
+
+/**
+ * POST /classrooms
+ * Save a room's location, adding the room or replacing its saved location.
+ * Teachers can only replace locations they saved themselves.
+ * Body: { name, latitude, longitude, radiusMeters?, mode? }
+ */
+router.post(
+  "/",
+  authenticate,
+  authorize("teacher", "admin"),
+  validateClassroom,
+  async (req, res) => {
+    try {
+      const { name, latitude, longitude, radiusMeters, mode } = req.body;
+
+      let classroom = await Classroom.findOne({ name });
+      const created = !classroom;
+      if (created) {
+        classroom = new Classroom({ name });
+      } else if (
+        req.user.role !== "admin" &&
+        String(classroom.updatedBy) !== req.user.id
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: `${classroom.name} was set up by another teacher. Ask them or an administrator to change it.`,
+        });
+      }
+
+      classroom.latitude = latitude;
+      classroom.longitude = longitude;
+      if (radiusMeters != null) classroom.radiusMeters = radiusMeters;
+      if (mode !== undefined) classroom.mode = mode || null;
+      classroom.updatedBy = req.user.id;
+      await classroom.save();
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: `Location saved for ${classroom.name}.`,
+        classroom: classroomView(classroom),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: `${req.body.name} was just added. Please try again.`,
+        });
+      }
+      console.error("Save classroom error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save classroom.",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /classrooms/:id
+ * Remove a room's location; later sessions there are not geofenced.
+ */
+router.delete(
+  "/:id",
+  authenticate,
+  authorize("admin"),
+  validateObjectIdParam,
+  async (req, res) => {
+    try {
+      const classroom = await Classroom.findByIdAndDelete(req.params.id);
+      if (!classroom) {
+        return res.status(404).json({
+          success: false,
+          message: "Classroom not found.",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `${classroom.name} removed.`,
+      });
+    } catch (error) {
+      console.error("Delete classroom error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove classroom.",
+      });
+    }
+  },
+);
+
+module.exports = router;
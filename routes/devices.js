@@ -0,0 +1,116 @@
+/**
+ * Device Routes
+ * Students register the devices they scan from. Registering returns the
+ * signed token the browser sends with each scan (see utils/deviceBinding.js).
+ * Students cannot remove devices themselves; admins reset bindings through
+ * /admin/users/:id/devices.
+ *
+ * Endpoints:
+ * - GET  /devices  (student - registered devices and the limit)
+ * - POST /devices  (student - register this device)
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const Device = require("../models/Device");
+
+const { authenticate, authorize } = require("../middleware/auth");
+const { validateDeviceRegister } = require("../middleware/validate");
+const { MAX_DEVICES, signDevice } = require("../utils/deviceBinding");
+
+/**
+ * A device as returned by the API
+ */
+function deviceView(device) {
+  return {
+    id: device._id,
+    deviceId: device.deviceId,
+    label: device.label,
+    registeredAt: device.createdAt,
+    lastUsedAt: device.lastUsedAt,
+  };
+}
+
+/**
+ * GET /devices
+ * The student's registered devices.
+ */
+router.get("/", authenticate, authorize("student"), async (req, res) => {
+  try {
+    const devices = await Device.find({ studentId: req.user.id }).sort({
+      createdAt: 1,
+    });
+
+    res.json({
+      success: true,
+      maxDevices: MAX_DEVICES,
+      devices: devices.map(deviceView),
+    });
+  } catch (error) {
+    console.error("Get devices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve devices.",
+    });
+  }
+});
+
+/**
+ * POST /devices
+ * Register the calling device, or fetch its token again if it is already
+ * registered. Fails once the student has MAX_DEVICES devices.
+ * Body: { deviceId, label? }
+ */
+router.post(
+  "/",
+  authenticate,
+  authorize("student"),
+  validateDeviceRegister,
+  async (req, res) => {
+    try {
+      const { deviceId, label } = req.body;
+      const studentId = req.user.id;
+
+      let device = await Device.findOne({ studentId, deviceId });
+      const created = !device;
+      if (created) {
+        const count = await Device.countDocuments({ studentId });
+        if (count >= MAX_DEVICES) {
+          return res.status(403).json({
+            success: false,
+            message: `Your account already has ${count} registered device(s). Ask an admin to reset your devices to use this one.`,
+          });
+        }
+        device = await Device.create({
+          studentId,
+          deviceId,
+          label: label || null,
+        });
+      }
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? "Device registered." : "Device already registered.",
+        device: deviceView(device),
+        token: signDevice(studentId, deviceId),
+      });
+    } catch (error) {
+      // Registered from another tab at the same moment
+      if (error.code === 11000) {
+        return res.json({
+          success: true,
+          message: "Device already registered.",
+          token: signDevice(req.user.id, req.body.deviceId),
+        });
+      }
+      console.error("Register device error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to register device.",
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,638 @@
+/**
+ * Enrollment Routes
+ * Lets teachers manage the roster (enrolled students) of the subjects they teach.
+ * Any of a subject's staff may view its roster; only instructors (not
+ * teaching assistants) may change it. Students are placed in one of the
+ * subject's sections when it defines any.
+ * Rosters are scoped to an academic term; the current term is used by default.
+ *
+ * Endpoints:
+ * - GET    /enrollment/student                         (student - own enrollments)
+ * - POST   /enrollment/import                          (teacher - bulk CSV/XLSX import)
+ * - GET    /enrollment/:subjectCode                    (teacher - roster)
+ * - POST   /enrollment/:subjectCode                    (teacher - enroll by roll numbers)
+ * - PUT    /enrollment/:subjectCode/:rollNumber        (teacher - change section)
+ * - DELETE /enrollment/:subjectCode/:rollNumber        (teacher - unenroll)
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+
+const Enrollment = require("../models/Enrollment");
+const User = require("../models/User");
+const Student = require("../models/Student");
+const Subject = require("../models/Subject");
+
+const { authenticate, authorize } = require("../middleware/auth");
+const {
+  validateSubjectCodeParam,
+  validateTermQuery,
+  validateEnrollmentAdd,
+  validateEnrollmentUpdate,
+  validateEnrollmentRemove,
+  validateRosterImport,
+  validateStudentRow,
+} = require("../middleware/validate");
+const { parseRosterFile } = require("../utils/rosterImport");
+
+// Roster uploads are kept in memory; they are small and parsed immediately
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 }, // 2 MB
+});
+
+/**
+ * Accept a single "file" upload, reporting multer errors as JSON
+ */
+function handleRosterUpload(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message:
+          err.code === "LIMIT_FILE_SIZE"
+            ? "Roster file is too large (max 2 MB)."
+            : "Invalid file upload.",
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * Check the requesting teacher's access to a subject's roster, sending a
+ * 403 when they do not teach it or (when changing it) are not an instructor.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} subjectCode - Uppercase subject code
+ * @param {boolean} [manage] - The request changes the roster
+ * @returns {Promise<object|null>} The Subject, or null if a response was sent
+ */
+async function checkRosterAccess(req, res, subjectCode, manage = false) {
+  const access = await Subject.forStaff(subjectCode, req.user.id);
+  if (!access) {
+    res.status(403).json({
+      success: false,
+      message: "You do not teach this subject.",
+    });
+    return null;
+  }
+  if (manage && access.staff.role !== "instructor") {
+    res.status(403).json({
+      success: false,
+      message: "Only the subject's instructors can change its roster.",
+    });
+    return null;
+  }
+  return access.subject;
+}
+
+/**
+ * Reject a section the subject does not define (subjects without defined
+ * sections accept any)
+ * @returns {boolean} true if a response was sent
+ */
+function rejectUnknownSection(subject, section, res) {
+  if (!subject.sections.length || subject.sections.includes(section)) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    message: `${subject.subjectCode} has no section ${section}. Sections: ${subject.sections.join(", ")}.`,
+  });
+  return true;
+}
+
+/**
+ * GET /enrollment/student
+ * Returns the authenticated student's enrollments for the current term.
+ */
+router.get(
+  "/student",
+  authenticate,
+  authorize("student"),
+  validateTermQuery,
+  async (req, res) => {
+    try {
+      const term = req.query.term || Enrollment.currentTerm();
+      const enrollments = await Enrollment.find({
+        studentId: req.user.id,
+        term,
+      }).sort({ subjectCode: 1 });
+
+      res.json({
+        success: true,
+        term,
+        enrollments: enrollments.map((e) => ({
+          subjectCode: e.subjectCode,
+          section: e.section,
+          term: e.term,
+        })),
+      });
+    } catch (error) {
+      console.error("Get student enrollments error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve enrollments.",
+      });
+    }
+  },
+);
+
+/**
+ * POST /enrollment/import
+ * Bulk-create student accounts from an uploaded CSV or XLSX roster.
+ * Multipart form: file (required), dryRun, subjectCode, section, term.
+ *
+ * Columns: roll number, name, email, department, graduation, year
+ * (and optionally password). Every row is validated with the same rules as
+ * student registration. Rows without a password get a generated temporary
+ * password, returned once in `credentials`.
+ *
+ * Students whose roll number already exists are left untouched. When a
+ * subjectCode is given, created and existing students are also enrolled.
+ * With dryRun=true nothing is written; the per-row report is returned as-is.
+ */
+router.post(
+  "/import",
+  authenticate,
+  authorize("teacher"),
+  handleRosterUpload,
+  validateRosterImport,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Please upload a .csv or .xlsx roster file.",
+        });
+      }
+
+      const dryRun = req.body.dryRun === true;
+      const subjectCode = req.body.subjectCode || null;
+      const section = req.body.section || "A";
+      const term = req.body.term || Enrollment.currentTerm();
+
+      if (subjectCode) {
+        const subject = await checkRosterAccess(req, res, subjectCode, true);
+        if (!subject || rejectUnknownSection(subject, section, res)) return;
+      }
+
+      let rows;
+      try {
+        rows = await parseRosterFile(req.file);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+
+      if (rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "The roster file has no data rows.",
+        });
+      }
+
+      // ─── Pass 1: validate every row and detect duplicates within the file ───
+      const seenRolls = new Set();
+      const seenEmails = new Set();
+      const report = [];
+
+      for (const row of rows) {
+        const generatedPassword = row.fields.password
+          ? null
+          : crypto.randomBytes(6).toString("base64url");
+        const { data, errors } = await validateStudentRow({
+          ...row.fields,
+          password: row.fields.password || generatedPassword,
+        });
+
+        if (data.rollNumber && seenRolls.has(data.rollNumber)) {
+          errors.push({
+            field: "rollNumber",
+            message: "Duplicate roll number in file",
+          });
+        }
+        if (data.email && seenEmails.has(data.email)) {
+          errors.push({ field: "email", message: "Duplicate email in file" });
+        }
+        seenRolls.add(data.rollNumber);
+        seenEmails.add(data.email);
+
+        report.push({
+          line: row.line,
+          rollNumber: data.rollNumber || null,
+          status: errors.length ? "error" : "valid",
+          errors,
+          data,
+          generatedPassword,
+        });
+      }
+
+      // ─── Pass 2: check against existing accounts ───
+      const candidates = report.filter((r) => r.status === "valid");
+      const existingUsers = await User.find({
+        $or: [
+          { rollNumber: { $in: candidates.map((r) => r.data.rollNumber) } },
+          { email: { $in: candidates.map((r) => r.data.email) } },
+        ],
+      }).select("_id role rollNumber email");
+
+      const byRoll = new Map();
+      const byEmail = new Map();
+      existingUsers.forEach((u) => {
+        if (u.rollNumber) byRoll.set(u.rollNumber, u);
+        if (u.email) byEmail.set(u.email, u);
+      });
+
+      for (const r of candidates) {
+        const sameRoll = byRoll.get(r.data.rollNumber);
+        const sameEmail = byEmail.get(r.data.email);
+
+        if (sameRoll) {
+          if (sameRoll.role !== "student") {
+            r.status = "error";
+            r.errors.push({
+              field: "rollNumber",
+              message: "Roll number belongs to a non-student account",
+            });
+          } else {
+            r.status = "existing";
+            r.userId = sameRoll._id;
+          }
+        } else if (sameEmail) {
+          r.status = "error";
+          r.errors.push({
+            field: "email",
+            message: "Email is already used by another account",
+          });
+        }
+      }
+
+      // ─── Pass 3: create accounts (skipped on dry run) ───
+      const credentials = [];
+      if (!dryRun) {
+        for (const r of report.filter((x) => x.status === "valid")) {
+          const { name, email, rollNumber, department, password } = r.data;
+          let user = null;
+          try {
+            user = new User({
+              name,
+              email,
+              rollNumber,
+              role: "student",
+              department,
+              password,
+            });
+            await user.save();
+            await new Student({
+              userId: user._id,
+              graduation: r.data.graduation,
+              year: r.data.year,
+            }).save();
+
+            r.status = "created";
+            r.userId = user._id;
+            if (r.generatedPassword) {
+              credentials.push({ rollNumber, password: r.generatedPassword });
+            }
+          } catch (error) {
+            // Don't leave a login behind without its Student profile
+            if (user && !user.isNew) {
+              await User.deleteOne({ _id: user._id }).catch(() => {});
+            }
+            r.status = "error";
+            r.errors.push({
+              field: error.code === 11000 ? "rollNumber" : null,
+              message:
+                error.code === 11000
+                  ? "Account was created concurrently by another request"
+                  : error.message,
+            });
+          }
+        }
+
+        // Enroll created and existing students in the subject, if requested
+        if (subjectCode) {
+          const ids = report.filter((r) => r.userId).map((r) => r.userId);
+          const enrolled = await Enrollment.find({
+            subjectCode,
+            term,
+            studentId: { $in: ids },
+          }).select("studentId");
+          const enrolledIds = new Set(
+            enrolled.map((e) => e.studentId.toString()),
+          );
+          const toEnroll = ids.filter((id) => !enrolledIds.has(id.toString()));
+
+          if (toEnroll.length > 0) {
+            try {
+              await Enrollment.insertMany(
+                toEnroll.map((studentId) => ({
+                  studentId,
+                  subjectCode,
+                  section,
+                  term,
+                  enrolledBy: req.user.id,
+                })),
+                { ordered: false },
+              );
+            } catch (error) {
+              // The accounts above exist either way, so report rather than
+              // fail the import (and lose their credentials). Students
+              // enrolled concurrently by another request are enrolled.
+              const failedIds = error.writeErrors
+                ? error.writeErrors
+                    .filter((e) => (e.code ?? e.err?.code) !== 11000)
+                    .map((e) => toEnroll[e.index].toString())
+                : error.code === 11000
+                  ? []
+                  : toEnroll.map((id) => id.toString());
+              if (failedIds.length > 0) {
+                console.error("Roster import enrollment error:", error);
+              }
+              for (const r of report) {
+                if (r.userId && failedIds.includes(r.userId.toString())) {
+                  r.errors.push({
+                    field: null,
+                    message: `Could not be enrolled in ${subjectCode}`,
+                  });
+                }
+              }
+            }
+          }
+        }
+      }
+
+      const count = (status) =>
+        report.filter((r) => r.status === status).length;
+      const summary = {
+        total: report.length,
+        valid: count("valid"),
+        created: count("created"),
+        existing: count("existing"),
+        failed: count("error"),
+      };
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun
+          ? `Dry run: ${summary.valid} new, ${summary.existing} existing, ${summary.failed} with errors.`
+          : `${summary.created} student(s) created, ${summary.existing} existing, ${summary.failed} with errors.`,
+        dryRun,
+        subjectCode,
+        term: subjectCode ? term : undefined,
+        summary,
+        rows: report.map((r) => ({
+          line: r.line,
+          rollNumber: r.rollNumber,
+          status: r.status,
+          errors: r.errors,
+        })),
+        credentials,
+      });
+    } catch (error) {
+      console.error("Roster import error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to import roster.",
+      });
+    }
+  },
+);
+
+/**
+ * GET /enrollment/:subjectCode
+ * Returns the roster of a subject for a term (default: current term).
+ * Optional query: ?term=2025-FALL&section=A
+ */
+router.get(
+  "/:subjectCode",
+  authenticate,
+  authorize("teacher"),
+  validateSubjectCodeParam,
+  validateTermQuery,
+  async (req, res) => {
+    try {
+      const subjectCode = req.params.subjectCode;
+      const term = req.query.term || Enrollment.currentTerm();
+
+      if (!(await checkRosterAccess(req, res, subjectCode))) return;
+
+      const filter = { subjectCode, term };
+      if (req.query.section) {
+        filter.section = String(req.query.section).trim().toUpperCase();
+      }
+
+      const enrollments = await Enrollment.find(filter).populate(
+        "studentId",
+        "name rollNumber email department",
+      );
+
+      const roster = enrollments
+        .filter((e) => e.studentId) // Skip enrollments of deleted users
+        .map((e) => ({
+          name: e.studentId.name,
+          rollNumber: e.studentId.rollNumber,
+          email: e.studentId.email,
+          department: e.studentId.department,
+          section: e.section,
+          enrolledAt: e.createdAt,
+        }))
+        .sort((a, b) => a.rollNumber.localeCompare(b.rollNumber));
+
+      res.json({
+        success: true,
+        subjectCode,
+        term,
+        students: roster,
+      });
+    } catch (error) {
+      console.error("Get roster error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve roster.",
+      });
+    }
+  },
+);
+
+/**
+ * POST /enrollment/:subjectCode
+ * Enroll students by roll number.
+ * Body: { rollNumbers: [...], section?, term? }
+ * Reports roll numbers that were not found or already enrolled.
+ */
+router.post(
+  "/:subjectCode",
+  authenticate,
+  authorize("teacher"),
+  validateEnrollmentAdd,
+  async (req, res) => {
+    try {
+      const subjectCode = req.params.subjectCode;
+      const term = req.body.term || Enrollment.currentTerm();
+      const section = req.body.section || "A";
+      const rollNumbers = [...new Set(req.body.rollNumbers)];
+
+      const subject = await checkRosterAccess(req, res, subjectCode, true);
+      if (!subject || rejectUnknownSection(subject, section, res)) return;
+
+      const students = await User.find({
+        role: "student",
+        rollNumber: { $in: rollNumbers },
+      }).select("_id rollNumber");
+
+      const found = new Set(students.map((s) => s.rollNumber));
+      const notFound = rollNumbers.filter((r) => !found.has(r));
+
+      const existing = await Enrollment.find({
+        subjectCode,
+        term,
+        studentId: { $in: students.map((s) => s._id) },
+      }).select("studentId");
+      const existingIds = new Set(existing.map((e) => e.studentId.toString()));
+
+      const toEnroll = students.filter(
+        (s) => !existingIds.has(s._id.toString()),
+      );
+      const alreadyEnrolled = students
+        .filter((s) => existingIds.has(s._id.toString()))
+        .map((s) => s.rollNumber);
+
+      if (toEnroll.length > 0) {
+        await Enrollment.insertMany(
+          toEnroll.map((s) => ({
+            studentId: s._id,
+            subjectCode,
+            section,
+            term,
+            enrolledBy: req.user.id,
+          })),
+          { ordered: false },
+        );
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `${toEnroll.length} student(s) enrolled in ${subjectCode}.`,
+        term,
+        enrolled: toEnroll.map((s) => s.rollNumber),
+        alreadyEnrolled,
+        notFound,
+      });
+    } catch (error) {
+      console.error("Enroll students error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to enroll students.",
+      });
+    }
+  },
+);
+
+/**
+ * PUT /enrollment/:subjectCode/:rollNumber
+ * Move an enrolled student to another section.
+ * Body: { section }  Query: ?term=
+ */
+router.put(
+  "/:subjectCode/:rollNumber",
+  authenticate,
+  authorize("teacher"),
+  validateEnrollmentUpdate,
+  async (req, res) => {
+    try {
+      const { subjectCode, rollNumber } = req.params;
+      const term = req.query.term || Enrollment.currentTerm();
+
+      const subject = await checkRosterAccess(req, res, subjectCode, true);
+      if (!subject || rejectUnknownSection(subject, req.body.section, res)) {
+        return;
+      }
+
+      const student = await User.findOne({ role: "student", rollNumber });
+      const enrollment = student
+        ? await Enrollment.findOneAndUpdate(
+            { studentId: student._id, subjectCode, term },
+            { section: req.body.section },
+            { new: true },
+          )
+        : null;
+
+      if (!enrollment) {
+        return res.status(404).json({
+          success: false,
+          message: "Enrollment not found.",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `${rollNumber} moved to section ${enrollment.section}.`,
+        enrollment: {
+          rollNumber,
+          subjectCode,
+          section: enrollment.section,
+          term: enrollment.term,
+        },
+      });
+    } catch (error) {
+      console.error("Update enrollment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update enrollment.",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /enrollment/:subjectCode/:rollNumber
+ * Remove a student from a subject's roster.
+ * Query: ?term=
+ */
+router.delete(
+  "/:subjectCode/:rollNumber",
+  authenticate,
+  authorize("teacher"),
+  validateEnrollmentRemove,
+  async (req, res) => {
+    try {
+      const { subjectCode, rollNumber } = req.params;
+      const term = req.query.term || Enrollment.currentTerm();
+
+      if (!(await checkRosterAccess(req, res, subjectCode, true))) return;
+
+      const student = await User.findOne({ role: "student", rollNumber });
+      const result = student
+        ? await Enrollment.deleteOne({
+            studentId: student._id,
+            subjectCode,
+            term,
+          })
+        : { deletedCount: 0 };
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Enrollment not found.",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `${rollNumber} removed from ${subjectCode}.`,
+      });
+    } catch (error) {
+      console.error("Remove enrollment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove enrollment.",
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,424 @@
+/**
+ * Leave Request Routes
+ * Students ask to be excused from classes over a date range; each subject's
+ * instructors approve or reject the request for their own subject (teaching
+ * assistants do not decide leave). Approved subjects count the student as
+ * excused in attendance calculations.
+ *
+ * Endpoints:
+ * - POST   /leave                      (student - submit, multipart with optional attachment)
+ * - GET    /leave/student              (student - own requests)
+ * - DELETE /leave/:id                  (student - withdraw while undecided)
+ * - GET    /leave/teacher              (instructor - requests for their subjects)
+ * - PUT    /leave/:id/decision         (instructor - approve/reject for a subject)
+ * - GET    /leave/:id/attachment       (student owner or subject instructor)
+ */
+
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+
+const LeaveRequest = require("../models/LeaveRequest");
+const Enrollment = require("../models/Enrollment");
+const Subject = require("../models/Subject");
+
+const { authenticate, authorize } = require("../middleware/auth");
+const {
+  validateLeaveRequest,
+  validateLeaveIdParam,
+  validateLeaveQueue,
+  validateLeaveDecision,
+} = require("../middleware/validate");
+
+// Longest leave that can be requested in one go
+const MAX_LEAVE_DAYS = 60;
+
+const ATTACHMENT_TYPES = ["application/pdf", "image/png", "image/jpeg"];
+
+// Attachments are small supporting documents, stored with the request
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 }, // 2 MB
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new Error("Attachment must be a PDF, PNG, or JPEG file."));
+  },
+});
+
+/**
+ * Accept an optional "attachment" upload, reporting multer errors as JSON
+ */
+function handleAttachmentUpload(req, res, next) {
+  upload.single("attachment")(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: !(err instanceof multer.MulterError)
+          ? err.message
+          : err.code === "LIMIT_FILE_SIZE"
+            ? "Attachment is too large (max 2 MB)."
+            : "Invalid file upload.",
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * Subject codes a teacher decides leave for (those they are an instructor of)
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+function instructorSubjectCodes(userId) {
+  return Subject.distinct("subjectCode", {
+    instructors: { $elemMatch: { userId, role: "instructor" } },
+  });
+}
+
+/**
+ * Overall state of a request: pending until every subject is decided,
+ * then approved, rejected, or partial.
+ */
+function overallStatus(subjects) {
+  const statuses = subjects.map((s) => s.status);
+  if (statuses.includes("pending")) return "pending";
+  if (statuses.every((s) => s === "approved")) return "approved";
+  if (statuses.every((s) => s === "rejected")) return "rejected";
+  return "partial";
+}
+
+/**
+ * Shape a request for API responses (without the attachment bytes)
+ * @param {object} request - LeaveRequest document
+ * @param {string[]} [subjectCodes] - Only include these subjects' decisions
+ */
+function formatRequest(request, subjectCodes) {
+  const subjects = subjectCodes
+    ? request.subjects.filter((s) => subjectCodes.includes(s.subjectCode))
+    : request.subjects;
+  const student =
+    request.studentId && request.studentId.name ? request.studentId : null;
+
+  return {
+    id: request._id,
+    student: student
+      ? { name: student.name, rollNumber: student.rollNumber }
+      : undefined,
+    fromDate: request.fromDate,
+    toDate: request.toDate,
+    reason: request.reason,
+    status: overallStatus(request.subjects),
+    subjects: subjects.map((s) => ({
+      subjectCode: s.subjectCode,
+      status: s.status,
+      decidedAt: s.decidedAt,
+      note: s.note,
+    })),
+    attachment:
+      request.attachment && request.attachment.filename
+        ? {
+            filename: request.attachment.filename,
+            mimetype: request.attachment.mimetype,
+            size: request.attachment.size,
+          }
+        : null,
+    createdAt: request.createdAt,
+  };
+}
+
+/**
+ * POST /leave
+ * Student submits a leave request.
+ * Multipart form: fromDate, toDate, subjectCodes (comma-separated), reason,
+ * attachment (optional PDF/PNG/JPEG, max 2 MB).
+ */
+router.post(
+  "/",
+  authenticate,
+  authorize("student"),
+  handleAttachmentUpload,
+  validateLeaveRequest,
+  async (req, res) => {
+    try {
+      const { fromDate, toDate, subjectCodes, reason } = req.body;
+
+      if (fromDate > toDate) {
+        return res.status(400).json({
+          success: false,
+          message: "The start date must be on or before the end date.",
+        });
+      }
+
+      const days = (new Date(toDate) - new Date(fromDate)) / 86400000 + 1;
+      if (days > MAX_LEAVE_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `Leave cannot span more than ${MAX_LEAVE_DAYS} days.`,
+        });
+      }
+
+      // Students can only request leave from subjects they are enrolled in
+      const enrolled = await Enrollment.distinct("subjectCode", {
+        studentId: req.user.id,
+        term: Enrollment.currentTerm(new Date(fromDate)),
+      });
+      const codes = [...new Set(subjectCodes)];
+      const notEnrolled = codes.filter((code) => !enrolled.includes(code));
+      if (notEnrolled.length) {
+        return res.status(400).json({
+          success: false,
+          message: `You are not enrolled in: ${notEnrolled.join(", ")}.`,
+        });
+      }
+
+      const request = new LeaveRequest({
+        studentId: req.user.id,
+        fromDate,
+        toDate,
+        reason,
+        subjects: codes.map((subjectCode) => ({ subjectCode })),
+      });
+      if (req.file) {
+        request.attachment = {
+          // Keep the name safe to echo back in pages and headers
+          filename: req.file.originalname.replace(/[^\w.\- ]/g, "_"),
+          mimetype: req.file.mimetype,
+          size: req.file.size,
+          data: req.file.buffer,
+        };
+      }
+      await request.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Leave request submitted.",
+        request: formatRequest(request),
+      });
+    } catch (error) {
+      console.error("Submit leave request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to submit leave request.",
+      });
+    }
+  },
+);
+
+/**
+ * GET /leave/student
+ * The authenticated student's leave requests, newest first.
+ */
+router.get("/student", authenticate, authorize("student"), async (req, res) => {
+  try {
+    const requests = await LeaveRequest.find({ studentId: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      requests: requests.map((r) => formatRequest(r)),
+    });
+  } catch (error) {
+    console.error("Get student leave requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve leave requests.",
+    });
+  }
+});
+
+/**
+ * DELETE /leave/:id
+ * Student withdraws a request no teacher has decided on yet.
+ */
+router.delete(
+  "/:id",
+  authenticate,
+  authorize("student"),
+  validateLeaveIdParam,
+  async (req, res) => {
+    try {
+      const request = await LeaveRequest.findOne({
+        _id: req.params.id,
+        studentId: req.user.id,
+      });
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: "Leave request not found.",
+        });
+      }
+
+      if (request.subjects.some((s) => s.status !== "pending")) {
+        return res.status(409).json({
+          success: false,
+          message: "This request has already been reviewed.",
+        });
+      }
+
+      await request.deleteOne();
+
+      res.json({
+        success: true,
+        message: "Leave request withdrawn.",
+      });
+    } catch (error) {
+      console.error("Withdraw leave request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to withdraw leave request.",
+      });
+    }
+  },
+);
+
+/**
+ * GET /leave/teacher
+ * Leave requests touching the teacher's subjects, with only those subjects'
+ * decisions. Optional query: ?status=pending|approved|rejected
+ */
+router.get(
+  "/teacher",
+  authenticate,
+  authorize("teacher"),
+  validateLeaveQueue,
+  async (req, res) => {
+    try {
+      const codes = await instructorSubjectCodes(req.user.id);
+
+      const match = { subjectCode: { $in: codes } };
+      if (req.query.status) match.status = req.query.status;
+
+      const requests = await LeaveRequest.find({
+        subjects: { $elemMatch: match },
+      })
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .populate("studentId", "name rollNumber");
+
+      res.json({
+        success: true,
+        requests: requests.map((r) => formatRequest(r, codes)),
+      });
+    } catch (error) {
+      console.error("Get teacher leave requests error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve leave requests.",
+      });
+    }
+  },
+);
+
+/**
+ * PUT /leave/:id/decision
+ * Teacher approves or rejects a request for one of their subjects.
+ * Body: { subjectCode, decision: "approved"|"rejected", note? }
+ * A decision can be revised; approved leave takes effect in attendance
+ * calculations immediately.
+ */
+router.put(
+  "/:id/decision",
+  authenticate,
+  authorize("teacher"),
+  validateLeaveDecision,
+  async (req, res) => {
+    try {
+      const { subjectCode, decision, note } = req.body;
+
+      const codes = await instructorSubjectCodes(req.user.id);
+      if (!codes.includes(subjectCode)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the subject's instructors can decide leave.",
+        });
+      }
+
+      const request = await LeaveRequest.findById(req.params.id).populate(
+        "studentId",
+        "name rollNumber",
+      );
+      const entry =
+        request && request.subjects.find((s) => s.subjectCode === subjectCode);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: "Leave request not found for this subject.",
+        });
+      }
+
+      entry.status = decision;
+      entry.decidedBy = req.user.id;
+      entry.decidedAt = new Date();
+      entry.note = note || null;
+      await request.save();
+
+      res.json({
+        success: true,
+        message: `Leave ${decision} for ${subjectCode}.`,
+        request: formatRequest(request, codes),
+      });
+    } catch (error) {
+      console.error("Leave decision error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record decision.",
+      });
+    }
+  },
+);
+
+/**
+ * GET /leave/:id/attachment
+ * Download a request's supporting document.
+ * Available to the requesting student and to instructors of its subjects.
+ */
+router.get(
+  "/:id/attachment",
+  authenticate,
+  validateLeaveIdParam,
+  async (req, res) => {
+    try {
+      const request = await LeaveRequest.findById(req.params.id).select(
+        "+attachment.data",
+      );
+
+      if (!request || !request.attachment || !request.attachment.data) {
+        return res.status(404).json({
+          success: false,
+          message: "Attachment not found.",
+        });
+      }
+
+      let allowed = false;
+      if (req.user.role === "student") {
+        allowed = request.studentId.toString() === req.user.id;
+      } else if (req.user.role === "teacher") {
+        const codes = await instructorSubjectCodes(req.user.id);
+        allowed = request.subjects.some((s) => codes.includes(s.subjectCode));
+      }
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied.",
+        });
+      }
+
+      res.set({
+        "Content-Type": request.attachment.mimetype,
+        "Content-Disposition": `attachment; filename="${request.attachment.filename}"`,
+        "Cache-Control": "no-store",
+      });
+      res.send(request.attachment.data);
+    } catch (error) {
+      console.error("Get leave attachment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve attachment.",
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,528 @@
+/**
+ * Timetable Routes
+ * Weekly class slots per subject (or section), holidays, and each teacher's
+ * classes for today. Slots are managed by admins and the subject's
+ * instructors; holidays by admins. Today's classes come from the scheduled
+ * sessions the timetable creates (see utils/timetable.js) and are started or
+ * cancelled through /attendance/session/:id/start and /cancel.
+ *
+ * Endpoints:
+ * - GET    /timetable/today                 (teacher - today's classes)
+ * - GET    /timetable/subject/:subjectCode  (subject staff, admin - slots)
+ * - POST   /timetable/slots                 (instructor, admin - add a slot)
+ * - PUT    /timetable/slots/:id             (instructor, admin - edit a slot)
+ * - DELETE /timetable/slots/:id             (instructor, admin - remove a slot)
+ * - GET    /timetable/holidays              (any signed-in user)
+ * - POST   /timetable/holidays              (admin)
+ * - DELETE /timetable/holidays/:id          (admin)
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const TimetableSlot = require("../models/TimetableSlot");
+const Holiday = require("../models/Holiday");
+const Subject = require("../models/Subject");
+const Enrollment = require("../models/Enrollment");
+const AttendanceSession = require("../models/AttendanceSession");
+
+const { authenticate, authorize } = require("../middleware/auth");
+const {
+  validateSubjectCodeParam,
+  validateObjectIdParam,
+  validateTimetableSlot,
+  validateTimetableSlotUpdate,
+  validateHoliday,
+} = require("../middleware/validate");
+const {
+  localDate,
+  dayBounds,
+  scheduleDay,
+  clearUpcoming,
+} = require("../utils/timetable");
+
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * Load a subject the requester may edit the timetable of: any subject for
+ * admins, the subjects they instruct for teachers. Sends a 404/403 response
+ * and resolves to null otherwise.
+ * @returns {Promise<object|null>} Subject document
+ */
+async function loadManagedSubject(req, res, subjectCode) {
+  const subject = await Subject.findOne({ subjectCode });
+  if (!subject) {
+    res.status(404).json({ success: false, message: "Subject not found." });
+    return null;
+  }
+
+  if (req.user.role !== "admin") {
+    const staff = subject.staffEntry(req.user.id);
+    if (!staff || staff.role !== "instructor") {
+      res.status(403).json({
+        success: false,
+        message: "Only the subject's instructors can change its timetable.",
+      });
+      return null;
+    }
+  }
+
+  return subject;
+}
+
+/**
+ * Check a slot's fields against its subject; sends a 400 and returns false
+ * when they do not fit
+ * @param {object} subject - Subject document
+ * @param {object} slot - Slot fields (new or merged with the existing slot)
+ * @param {object} res - Express response
+ * @returns {boolean}
+ */
+function checkSlot(subject, slot, res) {
+  const fail = (message) => {
+    res.status(400).json({ success: false, message });
+    return false;
+  };
+
+  if (slot.startTime >= slot.endTime) {
+    return fail("The class must end after it starts.");
+  }
+  if (slot.startDate > slot.endDate) {
+    return fail("The start date must be on or before the end date.");
+  }
+  if (
+    slot.section &&
+    subject.sections.length &&
+    !subject.sections.includes(slot.section)
+  ) {
+    return fail(`${subject.subjectCode} has no section ${slot.section}.`);
+  }
+  if (!slot.teacherId) {
+    return fail("Choose who teaches the class.");
+  }
+  if (!subject.staffEntry(slot.teacherId)) {
+    return fail(`That teacher is not on the staff of ${subject.subjectCode}.`);
+  }
+  if (!subject.canTeachSection(slot.teacherId, slot.section || null)) {
+    return fail(
+      slot.section
+        ? `That teacher does not teach section ${slot.section} of ${subject.subjectCode}.`
+        : `That teacher cannot take every section of ${subject.subjectCode}.`,
+    );
+  }
+  return true;
+}
+
+/**
+ * Public view of a slot
+ */
+function slotView(slot) {
+  return {
+    id: slot._id,
+    subjectCode: slot.subjectCode,
+    section: slot.section,
+    dayOfWeek: slot.dayOfWeek,
+    day: DAY_NAMES[slot.dayOfWeek],
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    room: slot.room,
+    term: slot.term,
+    startDate: slot.startDate,
+    endDate: slot.endDate,
+    teacher: slot.teacherId
+      ? {
+          id: slot.teacherId._id || slot.teacherId,
+          name: slot.teacherId.name,
+        }
+      : null,
+    autoOpen: slot.autoOpen,
+  };
+}
+
+/**
+ * GET /timetable/today
+ * The classes scheduled today for the subjects (and sections) the teacher
+ * can take, with where each one stands: scheduled, live, held, or cancelled.
+ */
+router.get("/today", authenticate, authorize("teacher"), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const today = localDate();
+
+    // Make sure today's classes exist even if the scheduler has not run yet
+    await scheduleDay(today);
+
+    const [subjects, holiday] = await Promise.all([
+      Subject.find({ "instructors.userId": userId }),
+      Holiday.findOne({ date: today }),
+    ]);
+    const byCode = new Map(subjects.map((s) => [s.subjectCode, s]));
+
+    const { start, end } = dayBounds(today);
+    const sessions = await AttendanceSession.find({
+      subjectCode: { $in: [...byCode.keys()] },
+      scheduledStart: { $gte: start, $lt: end },
+    })
+      .sort({ scheduledStart: 1 })
+      .populate("teacherId", "name");
+
+    const classes = sessions
+      .filter(
+        (s) =>
+          s.teacherId?._id.toString() === userId ||
+          byCode.get(s.subjectCode).canTeachSection(userId, s.section),
+      )
+      .map((s) => ({
+        id: s._id,
+        subjectCode: s.subjectCode,
+        subjectName: byCode.get(s.subjectCode).name || null,
+        section: s.section,
+        room: s.room,
+        scheduledStart: s.scheduledStart,
+        scheduledEnd: s.scheduledEnd,
+        state: s.state,
+        teacher: s.teacherId
+          ? { id: s.teacherId._id, name: s.teacherId.name }
+          : null,
+        mine: s.teacherId?._id.toString() === userId,
+        cancelReason: s.cancelReason,
+      }));
+
+    res.json({
+      success: true,
+      date: today,
+      holiday: holiday ? holiday.name : null,
+      classes,
+    });
+  } catch (error) {
+    console.error("Get today's classes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve today's classes.",
+    });
+  }
+});
+
+/**
+ * GET /timetable/subject/:subjectCode
+ * A subject's weekly slots, by day and start time.
+ */
+router.get(
+  "/subject/:subjectCode",
+  authenticate,
+  authorize("teacher", "admin"),
+  validateSubjectCodeParam,
+  async (req, res) => {
+    try {
+      const subjectCode = req.params.subjectCode;
+
+      if (req.user.role !== "admin") {
+        const access = await Subject.forStaff(subjectCode, req.user.id);
+        if (!access) {
+          return res.status(403).json({
+            success: false,
+            message: "You do not teach this subject.",
+          });
+        }
+      }
+
+      const slots = await TimetableSlot.find({ subjectCode })
+        .sort({ dayOfWeek: 1, startTime: 1 })
+        .populate("teacherId", "name");
+
+      res.json({
+        success: true,
+        subjectCode,
+        slots: slots.map(slotView),
+      });
+    } catch (error) {
+      console.error("Get timetable error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve timetable.",
+      });
+    }
+  },
+);
+
+/**
+ * POST /timetable/slots
+ * Add a weekly slot.
+ * Body: { subjectCode, dayOfWeek, startTime, endTime, startDate, endDate,
+ *         section?, room?, term?, teacherId?, autoOpen? }
+ * teacherId defaults to the requesting teacher; term to the term startDate
+ * falls in.
+ */
+router.post(
+  "/slots",
+  authenticate,
+  authorize("teacher", "admin"),
+  validateTimetableSlot,
+  async (req, res) => {
+    try {
+      const subject = await loadManagedSubject(req, res, req.body.subjectCode);
+      if (!subject) return;
+
+      const fields = {
+        subjectCode: subject.subjectCode,
+        section: req.body.section || null,
+        dayOfWeek: req.body.dayOfWeek,
+        startTime: req.body.startTime,
+        endTime: req.body.endTime,
+        room: req.body.room || null,
+        startDate: req.body.startDate,
+        endDate: req.body.endDate,
+        term:
+          req.body.term || Enrollment.currentTerm(new Date(req.body.startDate)),
+        teacherId:
+          req.body.teacherId ||
+          (req.user.role === "teacher" ? req.user.id : null),
+        autoOpen: req.body.autoOpen === true,
+      };
+      if (!checkSlot(subject, fields, res)) return;
+
+      const slot = await TimetableSlot.create(fields);
+      await scheduleDay(localDate());
+      await slot.populate("teacherId", "name");
+
+      res.status(201).json({
+        success: true,
+        message: `Added ${subject.subjectCode} on ${DAY_NAMES[slot.dayOfWeek]} at ${slot.startTime}.`,
+        slot: slotView(slot),
+      });
+    } catch (error) {
+      console.error("Create timetable slot error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add timetable slot.",
+      });
+    }
+  },
+);
+
+/**
+ * PUT /timetable/slots/:id
+ * Edit a weekly slot. Upcoming classes that have not started are rescheduled;
+ * classes already held keep their original details.
+ */
+router.put(
+  "/slots/:id",
+  authenticate,
+  authorize("teacher", "admin"),
+  validateTimetableSlotUpdate,
+  async (req, res) => {
+    try {
+      const slot = await TimetableSlot.findById(req.params.id);
+      if (!slot) {
+        return res.status(404).json({
+          success: false,
+          message: "Timetable slot not found.",
+        });
+      }
+      const subject = await loadManagedSubject(req, res, slot.subjectCode);
+      if (!subject) return;
+
+      const updates = {};
+      [
+        "dayOfWeek",
+        "startTime",
+        "endTime",
+        "startDate",
+        "endDate",
+        "term",
+        "teacherId",
+        "autoOpen",
+      ].forEach((key) => {
+        if (req.body[key] !== undefined) updates[key] = req.body[key];
+      });
+      // Empty values clear the optional fields
+      if (req.body.section !== undefined) {
+        updates.section = req.body.section || null;
+      }
+      if (req.body.room !== undefined) updates.room = req.body.room || null;
+
+      const merged = { ...slot.toObject(), ...updates };
+      if (!checkSlot(subject, merged, res)) return;
+
+      slot.set(updates);
+      await slot.save();
+      await clearUpcoming({ slotId: slot._id });
+      await scheduleDay(localDate());
+      await slot.populate("teacherId", "name");
+
+      res.json({
+        success: true,
+        message: "Timetable slot updated.",
+        slot: slotView(slot),
+      });
+    } catch (error) {
+      console.error("Update timetable slot error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update timetable slot.",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /timetable/slots/:id
+ * Remove a weekly slot and its upcoming classes. Classes already held stay.
+ */
+router.delete(
+  "/slots/:id",
+  authenticate,
+  authorize("teacher", "admin"),
+  validateObjectIdParam,
+  async (req, res) => {
+    try {
+      const slot = await TimetableSlot.findById(req.params.id);
+      if (!slot) {
+        return res.status(404).json({
+          success: false,
+          message: "Timetable slot not found.",
+        });
+      }
+      const subject = await loadManagedSubject(req, res, slot.subjectCode);
+      if (!subject) return;
+
+      await clearUpcoming({ slotId: slot._id });
+      await slot.deleteOne();
+
+      res.json({
+        success: true,
+        message: "Timetable slot removed.",
+      });
+    } catch (error) {
+      console.error("Delete timetable slot error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove timetable slot.",
+      });
+    }
+  },
+);
+
+/**
+ * GET /timetable/holidays
+ * Holidays from ?from (YYYY-MM-DD, default today) onwards.
+ */
+router.get("/holidays", authenticate, async (req, res) => {
+  try {
+    const from = /^\d{4}-\d{2}-\d{2}$/.test(req.query.from)
+      ? req.query.from
+      : localDate();
+    const holidays = await Holiday.find({ date: { $gte: from } }).sort({
+      date: 1,
+    });
+
+    res.json({
+      success: true,
+      holidays: holidays.map((h) => ({
+        id: h._id,
+        date: h.date,
+        name: h.name,
+      })),
+    });
+  } catch (error) {
+    console.error("Get holidays error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve holidays.",
+    });
+  }
+});
+
+/**
+ * POST /timetable/holidays
+ * Add a holiday. Classes scheduled that day that have not started are removed.
+ * Body: { date, name }
+ */
+router.post(
+  "/holidays",
+  authenticate,
+  authorize("admin"),
+  validateHoliday,
+  async (req, res) => {
+    try {
+      const { date, name } = req.body;
+      if (await Holiday.exists({ date })) {
+        return res.status(409).json({
+          success: false,
+          message: `${date} is already a holiday.`,
+        });
+      }
+
+      const holiday = await Holiday.create({ date, name });
+      const { start, end } = dayBounds(date);
+      const removed = await clearUpcoming({
+        scheduledStart: { $gte: start, $lt: end },
+      });
+
+      res.status(201).json({
+        success: true,
+        message:
+          `${date} added as a holiday.` +
+          (removed ? ` ${removed} scheduled class(es) removed.` : ""),
+        holiday: { id: holiday._id, date: holiday.date, name: holiday.name },
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: `${req.body.date} is already a holiday.`,
+        });
+      }
+      console.error("Create holiday error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add holiday.",
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /timetable/holidays/:id
+ * Remove a holiday; that day's classes are scheduled again.
+ */
+router.delete(
+  "/holidays/:id",
+  authenticate,
+  authorize("admin"),
+  validateObjectIdParam,
+  async (req, res) => {
+    try {
+      const holiday = await Holiday.findByIdAndDelete(req.params.id);
+      if (!holiday) {
+        return res.status(404).json({
+          success: false,
+          message: "Holiday not found.",
+        });
+      }
+
+      if (holiday.date === localDate()) await scheduleDay(holiday.date);
+
+      res.json({
+        success: true,
+        message: `${holiday.date} is no longer a holiday.`,
+      });
+    } catch (error) {
+      console.error("Delete holiday error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove holiday.",
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * Create Admin
+ * Bootstraps an admin account, since admins cannot self-register.
+ *
+ * Usage:
+ *   npm run create-admin -- <email> <name> <department>
+ *
+ * The password is read from ADMIN_PASSWORD, or generated and printed once.
+ */
+
+require("dotenv").config();
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const User = require("../models/User");
+
+async function main() {
+  const [email, name, department] = process.argv.slice(2);
+  if (!email || !name || !department) {
+    console.error("Usage: npm run create-admin -- <email> <name> <department>");
+    process.exit(1);
+  }
+
+  const password =
+    process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
+  if (password.length < 8) {
+    console.error("❌ ADMIN_PASSWORD must be at least 8 characters.");
+    process.exit(1);
+  }
+
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/qr_attendance",
+  );
+
+  try {
+    if (await User.exists({ email: email.toLowerCase() })) {
+      console.error(`❌ An account with email ${email} already exists.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await User.create({ name, email, department, password, role: "admin" });
+
+    console.log(`✅ Admin ${email} created.`);
+    if (!process.env.ADMIN_PASSWORD) {
+      console.log(`🔑 Temporary password: ${password}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Failed to create admin:", err.message);
+  process.exit(1);
+});
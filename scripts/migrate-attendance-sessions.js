@@ -0,0 +1,124 @@
+/**
+ * Migrate Attendance Sessions
+ * Moves attendance from one record per student per subject per day to one
+ * record per student per session, so a subject can meet more than once a day:
+ * - checks every record points at an existing session on the same date
+ * - checks no student has two records in one session
+ * - builds the (studentId, sessionId) unique index, then drops the old
+ *   (studentId, subjectCode, date) one
+ * Existing records are kept as they are. Nothing changes if a check fails.
+ * Safe to run more than once.
+ *
+ * Usage:
+ *   npm run migrate:attendance-sessions [-- --dry-run]
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const Attendance = require("../models/Attendance");
+
+const OLD_INDEX_KEY = { studentId: 1, subjectCode: 1, date: 1 };
+const NEW_INDEX_KEY = { studentId: 1, sessionId: 1 };
+
+/**
+ * Whether an index key matches the given field order exactly
+ */
+function sameKey(key, expected) {
+  return JSON.stringify(key) === JSON.stringify(expected);
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/qr_attendance",
+  );
+
+  try {
+    // Records whose session is missing or was held on another date
+    const mismatched = await Attendance.aggregate([
+      {
+        $lookup: {
+          from: "attendancesessions",
+          localField: "sessionId",
+          foreignField: "_id",
+          as: "session",
+        },
+      },
+      { $unwind: { path: "$session", preserveNullAndEmptyArrays: true } },
+      {
+        $match: {
+          $expr: {
+            $or: [
+              { $eq: [{ $type: "$session" }, "missing"] },
+              { $ne: ["$session.date", "$date"] },
+            ],
+          },
+        },
+      },
+      { $project: { studentId: 1, subjectCode: 1, date: 1, sessionId: 1 } },
+    ]);
+
+    // Students with more than one record in a session
+    const duplicates = await Attendance.aggregate([
+      {
+        $group: {
+          _id: { studentId: "$studentId", sessionId: "$sessionId" },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ]);
+
+    if (mismatched.length || duplicates.length) {
+      mismatched.forEach((r) =>
+        console.error(
+          `❌ Record ${r._id} (${r.subjectCode} ${r.date}) does not match session ${r.sessionId}.`,
+        ),
+      );
+      duplicates.forEach((d) =>
+        console.error(
+          `❌ Student ${d._id.studentId} has ${d.count} records in session ${d._id.sessionId}.`,
+        ),
+      );
+      console.error("❌ Fix the records above and run the migration again.");
+      process.exitCode = 1;
+      return;
+    }
+
+    const indexes = await Attendance.collection.indexes();
+    const oldIndex = indexes.find((i) => sameKey(i.key, OLD_INDEX_KEY));
+    const hasNewIndex = indexes.some(
+      (i) => sameKey(i.key, NEW_INDEX_KEY) && i.unique,
+    );
+
+    if (dryRun) {
+      console.log(
+        `✅ All records check out. Would ${hasNewIndex ? "keep" : "create"} the per-session index` +
+          ` and ${oldIndex ? `drop ${oldIndex.name}` : "find no per-day index to drop"}.`,
+      );
+      return;
+    }
+
+    // Build the new index first so duplicates stay blocked throughout
+    if (!hasNewIndex) {
+      await Attendance.collection.createIndex(NEW_INDEX_KEY, { unique: true });
+    }
+    if (oldIndex) {
+      await Attendance.collection.dropIndex(oldIndex.name);
+    }
+
+    console.log(
+      `✅ Attendance is now recorded per session` +
+        `${oldIndex ? `; dropped ${oldIndex.name}` : ""}.`,
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Migration failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+/**
+ * Migrate Enrollments
+ * Seeds course rosters from the department matching scans used before
+ * rosters existed: every student is enrolled (section A) in each subject of
+ * their department for the term. Subjects that already have a roster for
+ * the term are left alone, so rosters imported by hand are not padded out.
+ * Safe to run more than once. Run it before migrate:subject-staff, which
+ * picks up sections from the rosters.
+ *
+ * Usage:
+ *   npm run migrate:enrollments [-- --dry-run] [--term=2025-FALL]
+ *   (the term defaults to the current one)
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const User = require("../models/User");
+const Subject = require("../models/Subject");
+const Enrollment = require("../models/Enrollment");
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const termArg = process.argv.find((arg) => arg.startsWith("--term="));
+  const term = termArg
+    ? termArg.slice("--term=".length).trim().toUpperCase()
+    : Enrollment.currentTerm();
+
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/qr_attendance",
+  );
+
+  try {
+    // Students by department (departments were matched case-insensitively)
+    const students = await User.find({ role: "student" }).select("department");
+    const byDepartment = new Map();
+    for (const student of students) {
+      const key = (student.department || "").toLowerCase();
+      if (!byDepartment.has(key)) byDepartment.set(key, []);
+      byDepartment.get(key).push(student._id);
+    }
+
+    const subjects = await Subject.find().select("subjectCode department");
+    let seeded = 0;
+    let enrolled = 0;
+
+    for (const subject of subjects) {
+      const hasRoster = await Enrollment.exists({
+        subjectCode: subject.subjectCode,
+        term,
+      });
+      if (hasRoster) continue;
+
+      const studentIds =
+        byDepartment.get((subject.department || "").toLowerCase()) || [];
+      if (!studentIds.length) continue;
+
+      if (!dryRun) {
+        await Enrollment.bulkWrite(
+          studentIds.map((studentId) => ({
+            updateOne: {
+              filter: { studentId, subjectCode: subject.subjectCode, term },
+              update: { $setOnInsert: { section: "A" } },
+              upsert: true,
+            },
+          })),
+          { ordered: false },
+        );
+      }
+      console.log(
+        `${dryRun ? "Would enroll" : "Enrolled"} ${studentIds.length} student(s) in ${subject.subjectCode}.`,
+      );
+      seeded += 1;
+      enrolled += studentIds.length;
+    }
+
+    console.log(
+      `✅ ${dryRun ? "Would seed" : "Seeded"} ${seeded} of ${subjects.length} subject roster(s) for ${term} (${enrolled} enrollment(s)).`,
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Migration failed:", err.message);
+  process.exit(1);
+});
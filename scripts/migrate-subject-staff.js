@@ -0,0 +1,80 @@
+/**
+ * Migrate Subject Staff
+ * Builds each subject's teaching staff and sections from existing data:
+ * - every teacher listing the code in Teacher.subjectCodes becomes an
+ *   instructor, as does the subject's owner
+ * - sections students are enrolled in become the subject's sections
+ * Safe to run more than once; existing staff entries are left as they are.
+ *
+ * Usage:
+ *   npm run migrate:subject-staff
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const Subject = require("../models/Subject");
+const Teacher = require("../models/Teacher");
+const Enrollment = require("../models/Enrollment");
+
+async function main() {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/qr_attendance",
+  );
+
+  try {
+    const teachers = await Teacher.find().select("userId subjectCodes");
+    const subjects = await Subject.find();
+    let updated = 0;
+
+    for (const subject of subjects) {
+      const staffIds = teachers
+        .filter((t) => t.subjectCodes.includes(subject.subjectCode))
+        .map((t) => t.userId);
+      if (subject.teacherId) staffIds.push(subject.teacherId);
+
+      let changed = false;
+      for (const userId of staffIds) {
+        if (!subject.staffEntry(userId)) {
+          subject.instructors.push({ userId, role: "instructor" });
+          changed = true;
+        }
+      }
+
+      const enrolledSections = await Enrollment.distinct("section", {
+        subjectCode: subject.subjectCode,
+      });
+      const sections = [
+        ...new Set([...subject.sections, ...enrolledSections]),
+      ].sort();
+      if (sections.length !== subject.sections.length) {
+        subject.sections = sections;
+        changed = true;
+      }
+
+      if (changed) {
+        await subject.save();
+        updated += 1;
+      }
+    }
+
+    // Teacher.subjectCodes mirrors the staff lists from here on
+    for (const teacher of teachers) {
+      teacher.subjectCodes = await Subject.distinct("subjectCode", {
+        "instructors.userId": teacher.userId,
+      });
+      await teacher.save();
+    }
+
+    console.log(
+      `✅ Updated ${updated} of ${subjects.length} subject(s); synced ${teachers.length} teacher(s).`,
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Migration failed:", err.message);
+  process.exit(1);
+});
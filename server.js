@@ -4,9 +4,16 @@
  * Express.js server with:
  * - MongoDB connection via Mongoose
  * - Security middleware (Helmet, CORS, Rate Limiting)
- * - JWT authentication
+ * - JWT authentication (short-lived access tokens, refresh token cookies)
+ * - Server time endpoint for clock sync (QR frame validity)
  * - Static file serving for the frontend
- * - API routes for auth, profiles, and attendance
+ * - API routes for auth, profiles, attendance, enrollment, leave requests,
+ *   timetables, classrooms, student devices, and administration
+ * - Timetable scheduler creating (and auto-opening) scheduled sessions
+ * - Expiry job closing sessions left open too long or idle
+ * - Retention job purging old scan attempts
+ *
+ * Refuses to start in production without a QR signing secret.
  */
 
 require("dotenv").config();
@@ -16,6 +23,18 @@ const cors = require("cors");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const path = require("path");
+const { startScheduler } = require("./utils/timetable");
+const { startExpiryJob } = require("./utils/sessionLifecycle");
+const { startRetentionJob } = require("./utils/scanLog");
+const { assertQRSecret } = require("./utils/qrKeys");
+
+// QR codes signed with the well-known default secret could be forged
+try {
+  assertQRSecret();
+} catch (err) {
+  console.error("❌", err.message);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -64,6 +83,8 @@ const authLimiter = rateLimit({
     success: false,
     message: "Too many login attempts, please try again later.",
   },
+  // Token refreshes and logouts are not login attempts
+  skip: (req) => ["/refresh", "/logout", "/logout-all"].includes(req.path),
 });
 
 app.use("/api/", generalLimiter);
@@ -81,10 +102,22 @@ app.use(express.static(path.join(__dirname, "public")));
 const authRoutes = require("./routes/auth");
 const profileRoutes = require("./routes/profile");
 const attendanceRoutes = require("./routes/attendance");
+const enrollmentRoutes = require("./routes/enrollment");
+const leaveRoutes = require("./routes/leave");
+const adminRoutes = require("./routes/admin");
+const timetableRoutes = require("./routes/timetable");
+const classroomRoutes = require("./routes/classrooms");
+const deviceRoutes = require("./routes/devices");
 
 app.use("/api/auth", authRoutes);
 app.use("/api/profile", profileRoutes);
 app.use("/api/attendance", attendanceRoutes);
+app.use("/api/enrollment", enrollmentRoutes);
+app.use("/api/leave", leaveRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/timetable", timetableRoutes);
+app.use("/api/classrooms", classroomRoutes);
+app.use("/api/devices", deviceRoutes);
 
 // ─── Health Check ───
 app.get("/api/health", (req, res) => {
@@ -95,6 +128,14 @@ app.get("/api/health", (req, res) => {
   });
 });
 
+// ─── Server Time ───
+// Scanners and kiosks compare their clock with this one (QR frames are only
+// valid for a few seconds of server time)
+app.get("/api/time", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ success: true, serverTime: Date.now() });
+});
+
 // ─── 404 Handler ───
 app.use((req, res) => {
   if (req.path.startsWith("/api")) {
@@ -120,6 +161,9 @@ mongoose
   .connect(process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/qr_attendance")
   .then(() => {
     console.log("✅ Connected to MongoDB");
+    startScheduler();
+    startExpiryJob();
+    startRetentionJob();
     app.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
       console.log(`📋 Environment: ${process.env.NODE_ENV || "development"}`);
@@ -0,0 +1,117 @@
+/**
+ * Attendance Policy
+ * The statuses an attendance record can carry, the late cutoff applied to
+ * scans, and the weight each status contributes to attendance percentages.
+ *
+ * Configuration (environment):
+ * - LATE_CUTOFF_MINUTES: minutes after session start a scan still counts as
+ *   present (default 10); sessions may set their own cutoff when started
+ * - ATTENDANCE_WEIGHTS: per-status weight overrides, e.g. "late=0.75,excused=0"
+ */
+
+const STATUSES = ["present", "late", "excused", "absent", "medical"];
+
+// Statuses that mean the student was physically in class
+const ATTENDED_STATUSES = ["present", "late"];
+
+// Single-letter marks used in registers and exports
+const STATUS_MARKS = {
+  present: "P",
+  late: "L",
+  excused: "E",
+  medical: "M",
+  absent: "A",
+};
+
+const DEFAULT_WEIGHTS = {
+  present: 1,
+  late: 0.5,
+  excused: 1,
+  medical: 1,
+  absent: 0,
+};
+
+const LATE_CUTOFF_MINUTES = (() => {
+  const minutes = parseInt(process.env.LATE_CUTOFF_MINUTES);
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : 10;
+})();
+
+/**
+ * Parse ATTENDANCE_WEIGHTS ("status=weight,...") over the defaults.
+ * Unknown statuses and weights outside 0-1 are ignored with a warning.
+ */
+function parseWeights(spec) {
+  const weights = { ...DEFAULT_WEIGHTS };
+  if (!spec) return weights;
+
+  spec.split(",").forEach((pair) => {
+    const [status, value] = pair.split("=").map((s) => s.trim());
+    const weight = parseFloat(value);
+    if (STATUSES.includes(status) && weight >= 0 && weight <= 1) {
+      weights[status] = weight;
+    } else if (pair.trim()) {
+      console.warn(`⚠️ Ignoring invalid ATTENDANCE_WEIGHTS entry: "${pair}"`);
+    }
+  });
+  return weights;
+}
+
+const WEIGHTS = parseWeights(process.env.ATTENDANCE_WEIGHTS);
+
+/**
+ * Status for a scan at the given time: late once the session's cutoff has passed
+ * @param {object} session - AttendanceSession (startTime, lateAfterMinutes)
+ * @param {Date} [at] - Scan time (defaults to now)
+ * @returns {"present"|"late"}
+ */
+function statusForScan(session, at = new Date()) {
+  const cutoff =
+    session.lateAfterMinutes != null
+      ? session.lateAfterMinutes
+      : LATE_CUTOFF_MINUTES;
+  const elapsed = at - new Date(session.startTime);
+  return elapsed > cutoff * 60 * 1000 ? "late" : "present";
+}
+
+/**
+ * Count records by status (records without a status count as present)
+ * @param {Array<{ status?: string }>} records
+ * @returns {object} { present, late, excused, medical, absent }
+ */
+function countStatuses(records) {
+  const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+  records.forEach((r) => {
+    counts[r.status || "present"] += 1;
+  });
+  return counts;
+}
+
+/**
+ * Weighted attendance credit and percentage for a set of status counts
+ * @param {object} counts - From countStatuses
+ * @param {number} totalClasses - Classes conducted
+ * @returns {{ attended: number, weighted: number, percentage: number }}
+ */
+function computeAttendance(counts, totalClasses) {
+  const attended = ATTENDED_STATUSES.reduce((n, s) => n + counts[s], 0);
+  const weighted =
+    Math.round(
+      STATUSES.reduce((sum, s) => sum + counts[s] * WEIGHTS[s], 0) * 100,
+    ) / 100;
+  const percentage =
+    totalClasses > 0
+      ? Math.round((weighted / totalClasses) * 100 * 100) / 100
+      : 0;
+  return { attended, weighted, percentage };
+}
+
+module.exports = {
+  STATUSES,
+  ATTENDED_STATUSES,
+  STATUS_MARKS,
+  WEIGHTS,
+  LATE_CUTOFF_MINUTES,
+  statusForScan,
+  countStatuses,
+  computeAttendance,
+};
@@ -0,0 +1,246 @@
+/**
+ * Auth Tokens
+ * Logins are AuthSessions (one per device). A login gets a short-lived
+ * access token (JWT, sent as a Bearer token) and a refresh token in an
+ * httpOnly cookie only the /api/auth endpoints receive. When the access
+ * token expires the browser trades the refresh token for a new access token
+ * and a new refresh token; the old refresh token is then spent.
+ *
+ * Access tokens carry their session's ID (sid) and are refused once the
+ * session is revoked (logout, "log out all devices"), so revocation takes
+ * effect immediately rather than when the token expires. Presenting a spent
+ * refresh token after the reuse grace window means it was copied: the
+ * session is revoked. Within the window it is another tab that refreshed at
+ * the same moment, and it gets an access token without a new cookie (the
+ * browser already holds the replacement).
+ *
+ * Refresh tokens look like "<session id>.<random hex>"; only a hash of the
+ * random part is stored.
+ *
+ * Configuration (environment):
+ * - ACCESS_TOKEN_TTL: seconds an access token is valid (default 900)
+ * - REFRESH_TOKEN_TTL: seconds a login lasts (default 2592000, 30 days)
+ * - REFRESH_REUSE_GRACE: seconds a just-replaced refresh token is still
+ *   accepted from concurrent tabs (default 30)
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const AuthSession = require("../models/AuthSession");
+const User = require("../models/User");
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 900; // seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 2592000; // seconds
+const REFRESH_REUSE_GRACE = parseInt(process.env.REFRESH_REUSE_GRACE) || 30; // seconds
+const REFRESH_COOKIE = "refreshToken";
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const SESSION_ENDED = "Session has ended. Please login again.";
+
+/**
+ * Stored form of a refresh token's random part
+ */
+function hashToken(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Access token for a user's session
+ * @param {object} user - User document
+ * @param {string|ObjectId} sessionId - AuthSession ID
+ * @returns {string} JWT: { id, role, sid, rollNumber (students) | email }
+ */
+function accessToken(user, sessionId) {
+  const claims = { id: user._id, role: user.role, sid: sessionId };
+  if (user.role === "student") claims.rollNumber = user.rollNumber;
+  else claims.email = user.email;
+  return jwt.sign(claims, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: REFRESH_COOKIE_PATH,
+  };
+}
+
+function setRefreshCookie(res, session, secret) {
+  res.cookie(REFRESH_COOKIE, `${session._id}.${secret}`, {
+    ...cookieOptions(),
+    expires: session.expiresAt,
+  });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+}
+
+/**
+ * The refresh token the browser sent, if well-formed
+ * @returns {{ sessionId: string, hash: string }|null}
+ */
+function readRefreshCookie(req) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx === -1 || part.slice(0, idx).trim() !== REFRESH_COOKIE) continue;
+    const match = /^([0-9a-f]{24})\.([0-9a-f]{64})$/.exec(
+      part.slice(idx + 1).trim(),
+    );
+    return match ? { sessionId: match[1], hash: hashToken(match[2]) } : null;
+  }
+  return null;
+}
+
+/**
+ * Start a session for a user who has just logged in or registered: sets the
+ * refresh cookie
+ * @returns {Promise<string>} Access token
+ */
+async function startSession(user, req, res) {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const session = await AuthSession.create({
+    userId: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: (req.get("user-agent") || "").substring(0, 300) || null,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000),
+  });
+  setRefreshCookie(res, session, secret);
+  return accessToken(user, session._id);
+}
+
+/**
+ * Trade the refresh cookie for a new access token, replacing the cookie
+ * @returns {Promise<{ token: string|null, status: number, reason: string|null }>}
+ *   token is null when the session cannot be refreshed (the cookie is then
+ *   cleared); status and reason describe why
+ */
+async function refreshSession(req, res) {
+  const fail = (reason, status = 401) => {
+    clearRefreshCookie(res);
+    return { token: null, status, reason };
+  };
+
+  const presented = readRefreshCookie(req);
+  if (!presented) return fail("No session. Please login.");
+
+  const now = new Date();
+  const session = await AuthSession.findById(presented.sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= now) {
+    return fail(SESSION_ENDED);
+  }
+
+  const replaced = presented.hash === session.previousHash;
+  if (!replaced && presented.hash !== session.tokenHash) {
+    return fail(SESSION_ENDED);
+  }
+  if (replaced && now - session.rotatedAt > REFRESH_REUSE_GRACE * 1000) {
+    await revokeSession(session._id, now);
+    return fail("Session was revoked for security. Please login again.");
+  }
+
+  const user = await User.findById(session.userId).select(
+    "role email rollNumber disabled passwordChangedAt",
+  );
+  if (
+    !user ||
+    (user.passwordChangedAt && user.passwordChangedAt > session.createdAt)
+  ) {
+    await revokeSession(session._id, now);
+    return fail(SESSION_ENDED);
+  }
+  if (user.disabled) {
+    return fail(
+      "This account has been disabled. Contact an administrator.",
+      403,
+    );
+  }
+
+  if (!replaced) {
+    // Only one of several concurrent refreshes replaces the token
+    const secret = crypto.randomBytes(32).toString("hex");
+    const rotated = await AuthSession.findOneAndUpdate(
+      { _id: session._id, tokenHash: presented.hash, revokedAt: null },
+      {
+        tokenHash: hashToken(secret),
+        previousHash: presented.hash,
+        rotatedAt: now,
+      },
+      { new: true },
+    );
+    if (rotated) setRefreshCookie(res, rotated, secret);
+  }
+
+  return { token: accessToken(user, session._id), status: 200, reason: null };
+}
+
+/**
+ * Revoke one session
+ * @returns {Promise<boolean>} Whether it was still active
+ */
+async function revokeSession(sessionId, now = new Date()) {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: now },
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Log out the session whose refresh cookie was sent (spent tokens of the
+ * session count too) and clear the cookie
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+async function endSession(req, res) {
+  const presented = readRefreshCookie(req);
+  clearRefreshCookie(res);
+  if (!presented) return false;
+
+  const session = await AuthSession.findOne({
+    _id: presented.sessionId,
+    $or: [{ tokenHash: presented.hash }, { previousHash: presented.hash }],
+  });
+  return session ? revokeSession(session._id) : false;
+}
+
+/**
+ * Revoke every active session of a user ("log out all devices")
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeAllSessions(userId) {
+  const result = await AuthSession.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() },
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Whether an access token's session is still active
+ * @param {string} sessionId - sid claim
+ * @param {string} userId - id claim
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId, userId) {
+  const session = await AuthSession.exists({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return !!session;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  clearRefreshCookie,
+  startSession,
+  refreshSession,
+  endSession,
+  revokeAllSessions,
+  isSessionActive,
+};
@@ -0,0 +1,87 @@
+/**
+ * Device Binding
+ * Ties scans to the devices registered to a student account, so one phone
+ * cannot sign in as several students and scan for them all.
+ *
+ * A browser generates its own device identifier and registers it; the server
+ * answers with a token (an HMAC of the student and the identifier) that the
+ * browser sends with every scan. A scan is from a registered device when the
+ * token matches and the binding still exists (admins can reset bindings).
+ * Scans from other devices are rejected ("strict") or accepted and flagged
+ * ("flag"). Independently of the mode, one device can only mark attendance
+ * for one student per session.
+ *
+ * Configuration (environment):
+ * - STUDENT_MAX_DEVICES: devices a student may register (default 2)
+ * - DEVICE_BINDING_MODE: "strict" or "flag" (default "flag")
+ * - DEVICE_SECRET: signing key for device tokens (default JWT_SECRET)
+ */
+
+const crypto = require("crypto");
+const Device = require("../models/Device");
+
+const MAX_DEVICES = parseInt(process.env.STUDENT_MAX_DEVICES) || 2;
+const MODE = process.env.DEVICE_BINDING_MODE === "strict" ? "strict" : "flag";
+
+/**
+ * Token proving a device identifier was registered for a student
+ * @param {string|ObjectId} studentId
+ * @param {string} deviceId
+ * @returns {string} Hex HMAC
+ */
+function signDevice(studentId, deviceId) {
+  return crypto
+    .createHmac("sha256", process.env.DEVICE_SECRET || process.env.JWT_SECRET)
+    .update(`${studentId}:${deviceId}`)
+    .digest("hex");
+}
+
+/**
+ * Whether a scan's device token is genuine for the student
+ * @param {string|ObjectId} studentId
+ * @param {{ id: string, token: string }|null} device
+ * @returns {boolean}
+ */
+function verifyDevice(studentId, device) {
+  if (!device || !device.id || !device.token) return false;
+  const expected = Buffer.from(signDevice(studentId, device.id), "hex");
+  const actual = Buffer.from(device.token, "hex");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+/**
+ * Check the device a scan came from
+ * @param {string|ObjectId} studentId
+ * @param {{ id: string, token: string }|null} device - From the scan body
+ * @returns {Promise<{ deviceId: string|null, registered: boolean, reason: string|null }>}
+ *   deviceId is set only for a genuine token
+ */
+async function checkDevice(studentId, device) {
+  if (!device || !device.token) {
+    return { deviceId: null, registered: false, reason: "No device token" };
+  }
+  if (!verifyDevice(studentId, device)) {
+    return {
+      deviceId: null,
+      registered: false,
+      reason: "Unregistered device",
+    };
+  }
+
+  const binding = await Device.findOneAndUpdate(
+    { studentId, deviceId: device.id },
+    { lastUsedAt: new Date() },
+  );
+  return binding
+    ? { deviceId: device.id, registered: true, reason: null }
+    : {
+        deviceId: device.id,
+        registered: false,
+        reason: "Device binding was reset",
+      };
+}
+
+module.exports = { MAX_DEVICES, MODE, signDevice, verifyDevice, checkDevice };
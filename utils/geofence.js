@@ -0,0 +1,88 @@
+/**
+ * Geofence
+ * Location checks for QR scans. A session held in a room with a saved
+ * classroom location carries a copy of that fence from when it opened, so
+ * editing a classroom does not change sessions already running.
+ *
+ * A scan is outside the fence when it is further from the classroom than the
+ * radius, after allowing for the accuracy the browser reports (up to the
+ * radius itself, so a vague fix cannot stretch the fence without limit).
+ * A scan with no location cannot be placed, and is treated as outside.
+ *
+ * Configuration (environment):
+ * - GEOFENCE_MODE: "strict" (reject scans outside the fence) or "flag"
+ *   (accept and flag them) for classrooms without their own mode
+ *   (default "flag")
+ */
+
+const Classroom = require("../models/Classroom");
+
+const DEFAULT_MODE = Classroom.MODES.includes(process.env.GEOFENCE_MODE)
+  ? process.env.GEOFENCE_MODE
+  : "flag";
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Great-circle distance between two positions
+ * @param {{ latitude: number, longitude: number }} a
+ * @param {{ latitude: number, longitude: number }} b
+ * @returns {number} Metres
+ */
+function distanceMeters(a, b) {
+  const rad = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.latitude)) *
+      Math.cos(rad(b.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * The fence for a room, as stored on a session
+ * @param {string|null} room
+ * @returns {Promise<object|null>} { latitude, longitude, radiusMeters, mode },
+ *   or null when the room has no saved location
+ */
+async function fenceFor(room) {
+  if (!room) return null;
+  const classroom = await Classroom.findOne({ name: room });
+  if (!classroom) return null;
+  return {
+    latitude: classroom.latitude,
+    longitude: classroom.longitude,
+    radiusMeters: classroom.radiusMeters,
+    mode: classroom.mode || DEFAULT_MODE,
+  };
+}
+
+/**
+ * Check a scan's location against a session's fence
+ * @param {object} fence - session.geofence
+ * @param {object|null} location - { latitude, longitude, accuracy? }
+ * @returns {{ outside: boolean, distanceMeters: number|null, reason: string|null }}
+ */
+function checkLocation(fence, location) {
+  if (!location) {
+    return {
+      outside: true,
+      distanceMeters: null,
+      reason: "No location shared",
+    };
+  }
+
+  const distance = Math.round(distanceMeters(fence, location));
+  const slack = Math.min(location.accuracy || 0, fence.radiusMeters);
+  if (distance - slack > fence.radiusMeters) {
+    return {
+      outside: true,
+      distanceMeters: distance,
+      reason: `About ${distance} m from the classroom`,
+    };
+  }
+  return { outside: false, distanceMeters: distance, reason: null };
+}
+
+module.exports = { DEFAULT_MODE, distanceMeters, fenceFor, checkLocation };
@@ -0,0 +1,79 @@
+/**
+ * QR Nonces
+ * Every QR frame carries a random nonce. Frames are signed, so the server
+ * does not need to remember the nonces it issues; it records a nonce when a
+ * scan consumes it. Consuming is an atomic insert-if-absent on the UsedNonce
+ * collection, so two concurrent scans of the same frame cannot both succeed.
+ *
+ * Modes:
+ * - "single": a frame can be scanned once, by one student; everyone else
+ *   waits for the next frame
+ * - "shared": every student can scan a frame once (a whole class scanning
+ *   the same projected frame)
+ *
+ * Configuration (environment):
+ * - QR_FRAME_USE: "single" or "shared" (default "shared")
+ * - NONCE_RETENTION: seconds a consumed nonce is kept after its frame
+ *   expires (default 60); expired frames are rejected anyway
+ */
+
+const UsedNonce = require("../models/UsedNonce");
+const { QR_MAX_AGE } = require("./qrGenerator");
+
+const MODE = process.env.QR_FRAME_USE === "single" ? "single" : "shared";
+const NONCE_RETENTION = parseInt(process.env.NONCE_RETENTION) || 60; // seconds
+
+/**
+ * Key a nonce is consumed under for this mode
+ */
+function nonceKey(nonce, studentId) {
+  return { nonce, studentId: MODE === "single" ? null : studentId };
+}
+
+/**
+ * Whether a frame's nonce is already used up for the student
+ * (a quick check before the scan's other checks; consumeNonce decides)
+ * @param {string} nonce
+ * @param {string|ObjectId} studentId
+ * @returns {Promise<boolean>}
+ */
+async function isNonceUsed(nonce, studentId) {
+  return !!(await UsedNonce.exists(nonceKey(nonce, studentId)));
+}
+
+/**
+ * Consume a frame's nonce for the student, atomically
+ * @param {object} frame - Validated QR payload ({ nonce, sessionId, timestamp })
+ * @param {string|ObjectId} studentId
+ * @returns {Promise<boolean>} false when the nonce was already consumed
+ */
+async function consumeNonce(frame, studentId) {
+  const expiresAt = new Date(
+    (frame.timestamp + QR_MAX_AGE + NONCE_RETENTION) * 1000,
+  );
+  try {
+    const result = await UsedNonce.updateOne(
+      nonceKey(frame.nonce, studentId),
+      { $setOnInsert: { sessionId: frame.sessionId, expiresAt } },
+      { upsert: true },
+    );
+    return result.upsertedCount === 1;
+  } catch (error) {
+    // A concurrent upsert of the same key inserted first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Give back a nonce consumed by a scan that then failed to record
+ * attendance, so the frame can still be used
+ * @param {object} frame - QR payload passed to consumeNonce
+ * @param {string|ObjectId} studentId
+ * @returns {Promise<void>}
+ */
+async function releaseNonce(frame, studentId) {
+  await UsedNonce.deleteOne(nonceKey(frame.nonce, studentId));
+}
+
+module.exports = { MODE, isNonceUsed, consumeNonce, releaseNonce };
@@ -0,0 +1,218 @@
+/**
+ * Compact QR Frame Codec
+ * Packs a QR frame (payload version 4) into a few dozen bytes and writes
+ * them in Base45 (RFC 9285), whose characters are all in the QR
+ * alphanumeric set, so the code needs far fewer modules than the JSON +
+ * zlib + Base64 format and scans from further away.
+ *
+ * Text form: "3:" followed by the Base45 bytes (":" never appears in Base64,
+ * so compact frames are told apart from the JSON format by their prefix).
+ *
+ * Byte layout:
+ * - version (1 byte): 4, or 3 for frames from before time slots
+ * - flags (1 byte): bit 0 set = Ed25519 signature, clear = HMAC-SHA256
+ * - key ID: secret tag (4 bytes) + rotation period (varint)
+ * - session ID, teacher ID (12 bytes each, packed ObjectIds)
+ * - subject code length (1 byte) + ASCII
+ * - time slot counter (varint, Unix seconds / slot length); version 3
+ *   frames carry the Unix timestamp in seconds instead
+ * - nonce (8 bytes)
+ * - signature over everything before it: HMAC-SHA256 truncated to 16 bytes,
+ *   or the 64-byte Ed25519 signature
+ */
+
+const COMPACT_VERSION = 4;
+const FIRST_SLOT_VERSION = 4; // older compact frames carry timestamps
+const LEGACY_VERSION = 3;
+const COMPACT_PREFIX = "3:";
+const NONCE_BYTES = 8;
+const MAC_BYTES = 16; // truncated HMAC-SHA256
+const ED25519_BYTES = 64;
+const FLAG_ED25519 = 1;
+
+const BASE45 = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+/**
+ * Encode bytes as Base45
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function toBase45(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 2) {
+    if (i + 1 < bytes.length) {
+      const n = bytes[i] * 256 + bytes[i + 1];
+      out +=
+        BASE45[n % 45] +
+        BASE45[Math.floor(n / 45) % 45] +
+        BASE45[Math.floor(n / 2025)];
+    } else {
+      out += BASE45[bytes[i] % 45] + BASE45[Math.floor(bytes[i] / 45)];
+    }
+  }
+  return out;
+}
+
+/**
+ * Decode Base45 text
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {Error} on characters or groups that are not valid Base45
+ */
+function fromBase45(text) {
+  const values = [...text].map((c) => {
+    const value = BASE45.indexOf(c);
+    if (value === -1) throw new Error("invalid character");
+    return value;
+  });
+  if (values.length % 3 === 1) throw new Error("invalid length");
+
+  const bytes = [];
+  for (let i = 0; i < values.length; i += 3) {
+    const [c, d, e = 0] = values.slice(i, i + 3);
+    const n = c + d * 45 + e * 2025;
+    if (i + 2 < values.length) {
+      if (n > 0xffff) throw new Error("invalid group");
+      bytes.push(n >> 8, n & 0xff);
+    } else {
+      if (n > 0xff) throw new Error("invalid group");
+      bytes.push(n);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Unsigned LEB128 varint
+ */
+function varint(value) {
+  const bytes = [];
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Sequential reader over a frame's bytes
+ */
+function reader(bytes) {
+  let offset = 0;
+  const take = (length) => {
+    if (offset + length > bytes.length) throw new Error("truncated frame");
+    const slice = bytes.subarray(offset, offset + length);
+    offset += length;
+    return slice;
+  };
+  return {
+    take,
+    byte: () => take(1)[0],
+    varint: () => {
+      let value = 0;
+      for (let shift = 1; ; shift *= 128) {
+        const byte = take(1)[0];
+        value += (byte & 0x7f) * shift;
+        if (!(byte & 0x80)) return value;
+        if (shift > 2 ** 42) throw new Error("varint too long");
+      }
+    },
+    get offset() {
+      return offset;
+    },
+  };
+}
+
+/**
+ * Whether scanned text is a compact frame
+ */
+function isCompact(qrData) {
+  return typeof qrData === "string" && qrData.startsWith(COMPACT_PREFIX);
+}
+
+/**
+ * The signed part of a compact frame
+ * @param {object} fields - { kid, alg, sessionId, teacherId, subjectCode, slot, nonce }
+ * @returns {Buffer}
+ */
+function packFrame(fields) {
+  const [tag, period] = fields.kid.split(".");
+  const subject = Buffer.from(fields.subjectCode, "ascii");
+  return Buffer.concat([
+    Buffer.from([COMPACT_VERSION, fields.alg === "EdDSA" ? FLAG_ED25519 : 0]),
+    Buffer.from(tag, "hex"),
+    varint(parseInt(period)),
+    Buffer.from(fields.sessionId, "hex"),
+    Buffer.from(fields.teacherId, "hex"),
+    Buffer.from([subject.length]),
+    subject,
+    varint(fields.slot),
+    Buffer.from(fields.nonce, "hex"),
+  ]);
+}
+
+/**
+ * Text form of a signed compact frame
+ * @param {Buffer} signed - From packFrame
+ * @param {Buffer} signature - Truncated HMAC or Ed25519 signature
+ * @returns {string}
+ */
+function encodeFrame(signed, signature) {
+  return COMPACT_PREFIX + toBase45(Buffer.concat([signed, signature]));
+}
+
+/**
+ * Read a compact frame
+ * @param {string} qrData
+ * @returns {{ signed: Buffer, signature: Buffer, fields: object }}
+ *   fields as for packFrame, plus version; version 3 frames have a
+ *   timestamp instead of a slot
+ * @throws {Error} for malformed frames and versions other than 3 and 4
+ */
+function decodeFrame(qrData) {
+  const bytes = fromBase45(qrData.slice(COMPACT_PREFIX.length));
+  const read = reader(bytes);
+
+  const version = read.byte();
+  if (version !== COMPACT_VERSION && version !== LEGACY_VERSION) {
+    throw new Error("unsupported version");
+  }
+  const alg = read.byte() & FLAG_ED25519 ? "EdDSA" : "HS256";
+  const kid = `${read.take(4).toString("hex")}.${read.varint()}`;
+  const sessionId = read.take(12).toString("hex");
+  const teacherId = read.take(12).toString("hex");
+  const subjectCode = read.take(read.byte()).toString("ascii");
+  const time = read.varint();
+  const nonce = read.take(NONCE_BYTES).toString("hex");
+
+  const signedLength = read.offset;
+  const signature = read.take(alg === "EdDSA" ? ED25519_BYTES : MAC_BYTES);
+  if (read.offset !== bytes.length) throw new Error("trailing data");
+
+  return {
+    signed: bytes.subarray(0, signedLength),
+    signature,
+    fields: {
+      version,
+      kid,
+      alg,
+      sessionId,
+      teacherId,
+      subjectCode,
+      ...(version >= FIRST_SLOT_VERSION ? { slot: time } : { timestamp: time }),
+      nonce,
+    },
+  };
+}
+
+module.exports = {
+  COMPACT_VERSION,
+  NONCE_BYTES,
+  MAC_BYTES,
+  isCompact,
+  packFrame,
+  encodeFrame,
+  decodeFrame,
+};
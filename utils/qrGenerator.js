@@ -2,66 +2,156 @@
  * Secure QR Code Generator & Validator
  *
  * This is the CRITICAL security module that handles:
- * 1. Generating cryptographically signed, compressed, short-lived QR payloads
+ * 1. Generating cryptographically signed, compact, short-lived QR payloads
  * 2. Validating scanned QR payloads with full security checks
  *
  * Security features:
- * - HMAC-SHA256 signing using server secret
- * - zlib compression of payload
+ * - HMAC-SHA256 or Ed25519 signing with a rotating key (see utils/qrKeys.js);
+ *   the key ID and algorithm travel with the frame
+ * - Versioned payloads: the validator accepts versions QR_MIN_VERSION up to
+ *   QR_VERSION, whichever format new frames use:
+ *   - version 4: compact binary frame in Base45 (see utils/qrCodec.js) with a
+ *     truncated HMAC and a time slot counter, rendered in QR alphanumeric
+ *     mode (the default); version 3 is the same with a timestamp
+ *   - version 2: JSON payload + hex signature, zlib-compressed, Base64, with
+ *     a timestamp
+ *   - version 1: as version 2, signed with QR_SECRET directly and without a
+ *     key ID (still read unless QR_MIN_VERSION rules it out)
  * - Random nonce for replay prevention
- * - Strict timestamp validation (2-3 second window)
- * - Base64 encoding for QR-safe transport
+ * - Short validity: TOTP-like time slots of QR_TOKEN_VALIDITY seconds; a
+ *   frame is valid during its slot (frames with a timestamp, for
+ *   QR_TOKEN_VALIDITY seconds from it), give or take the past/future
+ *   tolerances for slow uploads and server clock drift
+ *
+ * Configuration (environment):
+ * - QR_FORMAT: "compact" (version 4) or "json" (version 2) for new frames
+ *   (default "compact")
+ * - QR_TOKEN_VALIDITY: time slot length in seconds (default 3)
+ * - QR_PAST_TOLERANCE: seconds a frame is still accepted after its validity
+ *   ends (default QR_TOKEN_VALIDITY, i.e. the previous slot)
+ * - QR_FUTURE_TOLERANCE: seconds a frame is accepted before its validity
+ *   starts (default 2)
+ * - QR_MIN_VERSION: oldest payload version accepted (default 1)
+ * - QR_ERROR_CORRECTION: QR error-correction level L, M, Q or H (default M)
+ * - QR_IMAGE_SIZE: QR image width in pixels (default 400)
  */
 
 const crypto = require("crypto");
 const zlib = require("zlib");
 const QRCode = require("qrcode");
+const { QR_SECRET, currentKey, keyFor } = require("./qrKeys");
+const qrCodec = require("./qrCodec");
 
-const QR_SECRET = process.env.QR_SECRET || "default_qr_secret_change_me";
 const QR_TOKEN_VALIDITY = parseInt(process.env.QR_TOKEN_VALIDITY) || 3; // seconds
+const pastTolerance = parseInt(process.env.QR_PAST_TOLERANCE);
+const QR_PAST_TOLERANCE =
+  Number.isInteger(pastTolerance) && pastTolerance >= 0
+    ? pastTolerance
+    : QR_TOKEN_VALIDITY; // seconds
+const futureTolerance = parseInt(process.env.QR_FUTURE_TOLERANCE);
+const QR_FUTURE_TOLERANCE =
+  Number.isInteger(futureTolerance) && futureTolerance >= 0
+    ? futureTolerance
+    : 2; // seconds
+// Longest a frame can be accepted for after its validity starts
+const QR_MAX_AGE = QR_TOKEN_VALIDITY + QR_PAST_TOLERANCE; // seconds
+const QR_VERSION = qrCodec.COMPACT_VERSION; // newest version understood
+const QR_MIN_VERSION = Math.min(
+  parseInt(process.env.QR_MIN_VERSION) || 1,
+  QR_VERSION,
+);
+const QR_FORMAT = process.env.QR_FORMAT === "json" ? "json" : "compact";
+const ERROR_CORRECTION_LEVELS = ["L", "M", "Q", "H"];
+const QR_ERROR_CORRECTION = ERROR_CORRECTION_LEVELS.includes(
+  process.env.QR_ERROR_CORRECTION,
+)
+  ? process.env.QR_ERROR_CORRECTION
+  : "M";
+const QR_IMAGE_SIZE = parseInt(process.env.QR_IMAGE_SIZE) || 400; // pixels
+
+const UNSUPPORTED_VERSION =
+  "Unsupported QR code version. Please scan the latest QR code.";
+
+/**
+ * Sign bytes with the current key: Ed25519, or HMAC-SHA256 (optionally
+ * truncated to macBytes)
+ */
+function sign(data, alg, key, macBytes) {
+  if (alg === "EdDSA") return crypto.sign(null, data, key);
+  const mac = crypto.createHmac("sha256", key).update(data).digest();
+  return macBytes ? mac.subarray(0, macBytes) : mac;
+}
 
 /**
  * Generate a cryptographically signed QR payload
  *
- * Flow:
- * 1. Create payload with session info + random nonce + timestamp
- * 2. Sign payload using HMAC-SHA256
- * 3. Combine payload + signature
+ * Flow (compact, version 4):
+ * 1. Pack session info + random nonce + time slot counter + key ID into bytes
+ * 2. Sign them with the current key (truncated HMAC-SHA256 or Ed25519)
+ * 3. Append the signature and encode as Base45 behind the "3:" prefix
+ *
+ * The "3:" prefix marks the compact format, not the payload version (that
+ * is the first byte): it is where compact frames started, and it stays so
+ * frames of every compact version are told apart from JSON ones the same
+ * way, by the server and by scanners already in use.
+ *
+ * Flow (JSON, version 2):
+ * 1. Create payload with session info + random nonce + timestamp + key ID
+ * 2. Sign payload with the current key (HMAC-SHA256 or Ed25519)
+ * 3. Combine payload + signature + key ID + algorithm
  * 4. Compress using zlib
  * 5. Encode as Base64
  *
  * @param {string} sessionId - Active attendance session ID
  * @param {string} teacherId - Teacher's user ID
  * @param {string} subjectCode - Subject code for the session
- * @returns {object} { qrData, nonce } - Base64 encoded QR data and the nonce used
+ * @returns {object} { qrData, nonce } - Encoded QR data and the nonce used
  */
 function generateQRPayload(sessionId, teacherId, subjectCode) {
+  const { kid, alg, key } = currentKey();
+  const timestamp = Math.floor(Date.now() / 1000); // Unix timestamp (seconds)
+
+  if (QR_FORMAT === "compact") {
+    const slot = Math.floor(timestamp / QR_TOKEN_VALIDITY);
+    const nonce = crypto.randomBytes(qrCodec.NONCE_BYTES).toString("hex");
+    const signed = qrCodec.packFrame({
+      kid,
+      alg,
+      sessionId: String(sessionId),
+      teacherId: String(teacherId),
+      subjectCode,
+      slot,
+      nonce,
+    });
+    const signature = sign(signed, alg, key, qrCodec.MAC_BYTES);
+    return { qrData: qrCodec.encodeFrame(signed, signature), nonce };
+  }
+
   // Generate a random nonce (16 bytes = 32 hex chars) for replay prevention
   const nonce = crypto.randomBytes(16).toString("hex");
 
   // Build the payload object
   const payload = {
-    v: 1, // version
+    v: 2, // version
+    k: kid, // signing key ID
+    a: alg, // signing algorithm
     sid: sessionId, // session_id
     tid: teacherId, // teacher_id
     sub: subjectCode, // subject_code
-    ts: Math.floor(Date.now() / 1000), // Unix timestamp (seconds)
+    ts: timestamp,
     n: nonce, // random nonce
   };
 
-  // Convert payload to JSON string
+  // Convert payload to JSON string and sign it with the current key
   const payloadStr = JSON.stringify(payload);
+  const signature = sign(Buffer.from(payloadStr), alg, key).toString("hex");
 
-  // Sign the payload using HMAC-SHA256 with server secret
-  const signature = crypto
-    .createHmac("sha256", QR_SECRET)
-    .update(payloadStr)
-    .digest("hex");
-
-  // Combine payload and signature
+  // Combine payload, signature and the key needed to check it
   const signedData = JSON.stringify({
     p: payloadStr,
     s: signature,
+    k: kid,
+    a: alg,
   });
 
   // Compress using zlib (deflate)
@@ -74,166 +164,250 @@ function generateQRPayload(sessionId, teacherId, subjectCode) {
 }
 
 /**
- * Generate a QR code image as a data URL from the signed payload
- * Uses high error-correction level (H) for maximum reliability
+ * Generate a QR code image as a data URL from the signed payload.
+ * Compact frames are encoded in alphanumeric mode, JSON frames in byte mode.
+ * SVG scales to any screen without blurring (projectors); for SVG, width is
+ * only the intrinsic size.
  *
- * @param {string} qrData - Base64 encoded signed payload
- * @returns {Promise<string>} Data URL of the QR image (PNG format)
+ * @param {string} qrData - Encoded signed payload
+ * @param {object} [options]
+ * @param {"png"|"svg"} [options.format] - Default "png"
+ * @param {"L"|"M"|"Q"|"H"} [options.errorCorrectionLevel] - Default QR_ERROR_CORRECTION
+ * @param {number} [options.width] - Pixels, default QR_IMAGE_SIZE
+ * @param {number} [options.margin] - Quiet zone in modules, default 2
+ * @param {string} [options.dark] - Module colour (hex RGB/RGBA), default black
+ * @param {string} [options.light] - Background colour, default white
+ * @returns {Promise<string>} Data URL of the QR image
  */
-async function generateQRImage(qrData) {
+async function generateQRImage(
+  qrData,
+  {
+    format = "png",
+    errorCorrectionLevel = QR_ERROR_CORRECTION,
+    width = QR_IMAGE_SIZE,
+    margin = 2,
+    dark = "#000000",
+    light = "#FFFFFF",
+  } = {},
+) {
   const options = {
-    errorCorrectionLevel: "H", // Highest error correction
-    type: "image/png",
-    width: 400,
-    margin: 2,
-    color: {
-      dark: "#000000",
-      light: "#FFFFFF",
-    },
+    errorCorrectionLevel,
+    width,
+    margin,
+    color: { dark, light },
   };
 
-  return QRCode.toDataURL(qrData, options);
+  const mode = qrCodec.isCompact(qrData) ? "alphanumeric" : "byte";
+  const segments = [{ data: qrData, mode }];
+  if (format === "svg") {
+    const svg = await QRCode.toString(segments, { ...options, type: "svg" });
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+  }
+  return QRCode.toDataURL(segments, { ...options, type: "image/png" });
 }
 
 /**
- * Validate a scanned QR payload with full security checks
+ * Read a JSON-format (version 1 or 2) frame
  *
- * Validation steps:
  * 1. Base64 decode
  * 2. Decompress (zlib inflate)
- * 3. Parse signed data structure
- * 4. Verify HMAC-SHA256 signature (tamper detection)
- * 5. Parse inner payload
- * 6. Validate timestamp freshness (within QR_TOKEN_VALIDITY seconds)
- * 7. Return validated payload for further checks (session active, nonce reuse, etc.)
+ * 3. Parse signed data structure and inner payload; a version 2 payload must
+ *    name the key ID and algorithm the frame is signed with, a version 1
+ *    payload neither
  *
- * @param {string} qrData - The scanned QR code data (Base64 string)
+ * @returns {{ signed, signature, fields }|{ error }}
+ */
+function decodeJsonFrame(qrData) {
+  const compressed = Buffer.from(qrData, "base64");
+
+  let decompressed;
+  try {
+    decompressed = zlib.inflateSync(compressed).toString();
+  } catch (e) {
+    return { error: "Invalid QR data: decompression failed" };
+  }
+
+  // { p: payloadStr, s: signature, k?: keyId, a?: algorithm }
+  let signedData;
+  try {
+    signedData = JSON.parse(decompressed);
+  } catch (e) {
+    return { error: "Invalid QR data: malformed structure" };
+  }
+
+  if (!signedData.p || !signedData.s) {
+    return { error: "Invalid QR data: missing fields" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(signedData.p);
+  } catch (e) {
+    return { error: "Invalid QR data: malformed payload" };
+  }
+
+  // Frames without an algorithm are HMAC-signed
+  const alg = signedData.a || "HS256";
+  const consistent =
+    payload.v === 1
+      ? !signedData.k && !signedData.a
+      : payload.v === 2 &&
+        payload.k === signedData.k &&
+        (payload.a || "HS256") === alg;
+  if (!consistent) return { error: UNSUPPORTED_VERSION };
+
+  return {
+    signed: Buffer.from(signedData.p),
+    signature: Buffer.from(String(signedData.s), "hex"),
+    fields: {
+      version: payload.v,
+      kid: signedData.k || null,
+      alg,
+      sessionId: payload.sid,
+      teacherId: payload.tid,
+      subjectCode: payload.sub,
+      timestamp: payload.ts,
+      nonce: payload.n,
+    },
+  };
+}
+
+/**
+ * Validate a scanned QR payload with full security checks
+ *
+ * Validation steps:
+ * 1-3. Decode the frame: compact (versions 3-4) or JSON (versions 1-2, see
+ *      decodeJsonFrame)
+ * 4. Negotiate the version: it must be one this server accepts
+ * 5. Pick the key (the frame's key ID and algorithm; QR_SECRET for version 1
+ *    frames) and verify the HMAC-SHA256 or Ed25519 signature (tamper
+ *    detection)
+ * 6. Validate required fields
+ * 7. Validate freshness: now must fall within the frame's time slot (or
+ *    QR_TOKEN_VALIDITY seconds from its timestamp), widened by
+ *    QR_FUTURE_TOLERANCE before and QR_PAST_TOLERANCE after
+ * 8. Return validated payload for further checks (session active, nonce reuse, etc.)
+ *
+ * When the signature is authentic but the timestamp is stale or in the future,
+ * the decoded payload is still returned alongside valid: false so callers can
+ * attribute the rejected scan to its session.
+ *
+ * @param {string} qrData - The scanned QR code data
  * @returns {object} { valid, payload, error }
  */
 function validateQRPayload(qrData) {
+  const invalid = (error, payload = null) => ({ valid: false, payload, error });
+
   try {
-    // Step 1: Base64 decode
-    const compressed = Buffer.from(qrData, "base64");
-
-    // Step 2: Decompress (zlib inflate)
-    let decompressed;
-    try {
-      decompressed = zlib.inflateSync(compressed).toString();
-    } catch (e) {
-      return {
-        valid: false,
-        payload: null,
-        error: "Invalid QR data: decompression failed",
-      };
+    // Step 1-3: Decode the frame
+    let frame;
+    if (qrCodec.isCompact(qrData)) {
+      try {
+        frame = qrCodec.decodeFrame(qrData);
+      } catch (e) {
+        return invalid("Invalid QR data: malformed compact frame");
+      }
+    } else {
+      frame = decodeJsonFrame(String(qrData));
+      if (frame.error) return invalid(frame.error);
     }
+    const { fields } = frame;
 
-    // Step 3: Parse signed data structure { p: payloadStr, s: signature }
-    let signedData;
-    try {
-      signedData = JSON.parse(decompressed);
-    } catch (e) {
-      return {
-        valid: false,
-        payload: null,
-        error: "Invalid QR data: malformed structure",
-      };
+    // Step 4: Negotiate the version
+    if (
+      !Number.isInteger(fields.version) ||
+      fields.version < QR_MIN_VERSION ||
+      fields.version > QR_VERSION
+    ) {
+      return invalid(UNSUPPORTED_VERSION);
     }
 
-    if (!signedData.p || !signedData.s) {
-      return {
-        valid: false,
-        payload: null,
-        error: "Invalid QR data: missing fields",
-      };
+    // Step 5: Verify the signature; version 1 frames have no key ID and are
+    // signed with QR_SECRET itself, compact frames carry a truncated HMAC
+    const key =
+      fields.version === 1
+        ? QR_SECRET
+        : fields.kid && keyFor(fields.kid, fields.alg);
+    if (!key) {
+      return invalid("Invalid QR data: unknown or retired signing key");
     }
 
-    // Step 4: Verify HMAC-SHA256 signature
-    const expectedSignature = crypto
-      .createHmac("sha256", QR_SECRET)
-      .update(signedData.p)
-      .digest("hex");
-
-    // Use timing-safe comparison to prevent timing attacks
-    if (
-      !crypto.timingSafeEqual(
-        Buffer.from(signedData.s, "hex"),
-        Buffer.from(expectedSignature, "hex"),
-      )
-    ) {
-      return {
-        valid: false,
-        payload: null,
-        error: "Invalid QR data: signature mismatch (tampered)",
-      };
+    let authentic;
+    if (fields.alg === "EdDSA") {
+      authentic = crypto.verify(null, frame.signed, key, frame.signature);
+    } else {
+      const expectedSignature = sign(
+        frame.signed,
+        "HS256",
+        key,
+        qrCodec.isCompact(qrData) ? qrCodec.MAC_BYTES : 0,
+      );
+      // Use timing-safe comparison to prevent timing attacks
+      authentic =
+        frame.signature.length === expectedSignature.length &&
+        crypto.timingSafeEqual(frame.signature, expectedSignature);
     }
 
-    // Step 5: Parse inner payload
-    let payload;
-    try {
-      payload = JSON.parse(signedData.p);
-    } catch (e) {
-      return {
-        valid: false,
-        payload: null,
-        error: "Invalid QR data: malformed payload",
-      };
+    if (!authentic) {
+      return invalid("Invalid QR data: signature mismatch (tampered)");
     }
 
     // Step 6: Validate required fields
     if (
-      !payload.v ||
-      !payload.sid ||
-      !payload.tid ||
-      !payload.sub ||
-      !payload.ts ||
-      !payload.n
+      !fields.sessionId ||
+      !fields.teacherId ||
+      !fields.subjectCode ||
+      !(fields.slot != null || fields.timestamp) ||
+      !fields.nonce
     ) {
-      return {
-        valid: false,
-        payload: null,
-        error: "Invalid QR data: incomplete payload",
-      };
+      return invalid("Invalid QR data: incomplete payload");
     }
 
-    // Step 7: Validate timestamp freshness
-    const now = Math.floor(Date.now() / 1000);
-    const age = now - payload.ts;
+    // When the frame's validity starts: its slot's start, or its timestamp
+    const validFrom =
+      fields.slot != null ? fields.slot * QR_TOKEN_VALIDITY : fields.timestamp;
+
+    const decoded = {
+      version: fields.version,
+      keyId: fields.kid,
+      algorithm: fields.alg,
+      sessionId: fields.sessionId,
+      teacherId: fields.teacherId,
+      subjectCode: fields.subjectCode,
+      timestamp: validFrom,
+      slot: fields.slot != null ? fields.slot : null,
+      nonce: fields.nonce,
+    };
+
+    // Step 7: Validate freshness, with the tolerances
+    const now = Date.now() / 1000;
 
-    if (age < 0) {
-      return {
-        valid: false,
-        payload: null,
-        error: "Invalid QR data: future timestamp",
-      };
+    if (now < validFrom - QR_FUTURE_TOLERANCE) {
+      return invalid("Invalid QR data: future timestamp", decoded);
     }
 
-    if (age > QR_TOKEN_VALIDITY) {
-      return { valid: false, payload: null, error: "QR code has expired" };
+    if (now > validFrom + QR_MAX_AGE) {
+      return invalid("QR code has expired", decoded);
     }
 
     // All checks passed
     return {
       valid: true,
-      payload: {
-        version: payload.v,
-        sessionId: payload.sid,
-        teacherId: payload.tid,
-        subjectCode: payload.sub,
-        timestamp: payload.ts,
-        nonce: payload.n,
-      },
+      payload: decoded,
       error: null,
     };
   } catch (error) {
-    return {
-      valid: false,
-      payload: null,
-      error: "QR validation failed: " + error.message,
-    };
+    return invalid("QR validation failed: " + error.message);
   }
 }
 
 module.exports = {
+  QR_TOKEN_VALIDITY,
+  QR_PAST_TOLERANCE,
+  QR_FUTURE_TOLERANCE,
+  QR_MAX_AGE,
+  QR_VERSION,
+  QR_MIN_VERSION,
   generateQRPayload,
   generateQRImage,
   validateQRPayload,
@@ -0,0 +1,211 @@
+/**
+ * QR Signing Keys
+ * QR frames are signed with a key derived from QR_SECRET for the current
+ * rotation period, and carry the key's ID so the validator knows which key
+ * to check them against. Keys rotate on a fixed schedule without any stored
+ * state (every server derives the same key for a period); the previous
+ * period's key is still accepted for a grace window after each rotation so
+ * frames issued just before it stay valid.
+ *
+ * To change QR_SECRET itself, move the old value to QR_SECRET_PREVIOUS: keys
+ * derived from it are still accepted (but never used for signing) until it
+ * is removed.
+ *
+ * Key IDs look like "<secret tag>.<period>": the tag is a short hash telling
+ * which secret the key was derived from, the period counts rotation periods
+ * since the Unix epoch.
+ *
+ * Frames are signed with HMAC-SHA256 ("HS256", only the server can verify
+ * them) or Ed25519 ("EdDSA"): the Ed25519 key pair for a period is derived
+ * from the same secret, and its public half is published (publicKeys) so
+ * kiosks and the student client can check a frame before submitting it.
+ * Frames of either algorithm are accepted whichever one signs new frames.
+ *
+ * Configuration (environment):
+ * - QR_SECRET: master secret (required in production)
+ * - QR_SIGNING: "hmac" or "ed25519" (default "hmac")
+ * - QR_SECRET_PREVIOUS: master secret being rotated out (optional)
+ * - QR_KEY_ROTATION: seconds each key signs for (default 86400)
+ * - QR_KEY_GRACE: seconds the previous key is accepted after a rotation
+ *   (default 300)
+ */
+
+const crypto = require("crypto");
+
+const DEFAULT_SECRET = "default_qr_secret_change_me";
+const QR_SECRET = process.env.QR_SECRET || DEFAULT_SECRET;
+const QR_SECRET_PREVIOUS = process.env.QR_SECRET_PREVIOUS || null;
+const KEY_ROTATION = parseInt(process.env.QR_KEY_ROTATION) || 86400; // seconds
+const KEY_GRACE = parseInt(process.env.QR_KEY_GRACE) || 300; // seconds
+const SIGNING_ALG = process.env.QR_SIGNING === "ed25519" ? "EdDSA" : "HS256";
+const ALGORITHMS = ["HS256", "EdDSA"];
+
+// PKCS#8 DER header for an Ed25519 private key; the 32-byte seed follows
+const ED25519_PKCS8_PREFIX = Buffer.from(
+  "302e020100300506032b657004220420",
+  "hex",
+);
+
+/**
+ * Short, non-reversible tag identifying a master secret
+ */
+function secretTag(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex").slice(0, 8);
+}
+
+// Secrets keys may be derived from, by tag (the first one signs)
+const SECRETS = new Map(
+  [QR_SECRET, QR_SECRET_PREVIOUS]
+    .filter(Boolean)
+    .map((secret) => [secretTag(secret), secret]),
+);
+
+/**
+ * Signing key for a secret and rotation period
+ * @returns {Buffer}
+ */
+function deriveKey(secret, period) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`qr-key:${period}`)
+    .digest();
+}
+
+// Derived key pairs, by key ID (only a few periods are ever in use)
+const keyPairs = new Map();
+
+/**
+ * Ed25519 key pair for a secret and rotation period
+ * @returns {{ privateKey: KeyObject, publicKey: KeyObject }}
+ */
+function deriveKeyPair(secret, period) {
+  const kid = `${secretTag(secret)}.${period}`;
+  if (!keyPairs.has(kid)) {
+    if (keyPairs.size >= 8) keyPairs.clear();
+    const seed = crypto
+      .createHmac("sha256", secret)
+      .update(`qr-ed25519:${period}`)
+      .digest();
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      format: "der",
+      type: "pkcs8",
+    });
+    keyPairs.set(kid, {
+      privateKey,
+      publicKey: crypto.createPublicKey(privateKey),
+    });
+  }
+  return keyPairs.get(kid);
+}
+
+/**
+ * Rotation period a moment falls in
+ * @param {number} now - Milliseconds since the epoch
+ */
+function periodAt(now) {
+  return Math.floor(now / 1000 / KEY_ROTATION);
+}
+
+/**
+ * Whether a period's keys are still accepted: the current period, or the
+ * previous one during the grace window
+ */
+function isAccepted(period, now) {
+  const current = periodAt(now);
+  const sinceRotation = now / 1000 - current * KEY_ROTATION;
+  return (
+    period === current || (period === current - 1 && sinceRotation <= KEY_GRACE)
+  );
+}
+
+/**
+ * The key new frames are signed with
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {{ kid: string, alg: string, key: Buffer|KeyObject }}
+ *   key is the HMAC key, or the Ed25519 private key
+ */
+function currentKey(now = Date.now()) {
+  const period = periodAt(now);
+  return {
+    kid: `${secretTag(QR_SECRET)}.${period}`,
+    alg: SIGNING_ALG,
+    key:
+      SIGNING_ALG === "EdDSA"
+        ? deriveKeyPair(QR_SECRET, period).privateKey
+        : deriveKey(QR_SECRET, period),
+  };
+}
+
+/**
+ * The key that checks a frame signed with the given key ID and algorithm,
+ * if the key is still accepted
+ * @param {string} kid
+ * @param {string} [alg] - "HS256" or "EdDSA"
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {Buffer|KeyObject|null} HMAC key or Ed25519 public key; null for
+ *   unknown or retired keys
+ */
+function keyFor(kid, alg = "HS256", now = Date.now()) {
+  const match = /^([0-9a-f]{8})\.(\d+)$/.exec(String(kid));
+  if (!match || !SECRETS.has(match[1]) || !ALGORITHMS.includes(alg)) {
+    return null;
+  }
+
+  const period = parseInt(match[2]);
+  if (!isAccepted(period, now)) return null;
+  const secret = SECRETS.get(match[1]);
+  return alg === "EdDSA"
+    ? deriveKeyPair(secret, period).publicKey
+    : deriveKey(secret, period);
+}
+
+/**
+ * Public keys frames may be signed with, as JWKs: the accepted keys plus the
+ * next period's, so verifiers that cache them keep working across a
+ * rotation. Empty unless frames are signed with Ed25519.
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {Array<object>}
+ */
+function publicKeys(now = Date.now()) {
+  if (SIGNING_ALG !== "EdDSA") return [];
+  const current = periodAt(now);
+  const keys = [];
+  for (const [tag, secret] of SECRETS) {
+    for (const period of [current - 1, current, current + 1]) {
+      if (period < current && !isAccepted(period, now)) continue;
+      keys.push({
+        ...deriveKeyPair(secret, period).publicKey.export({ format: "jwk" }),
+        kid: `${tag}.${period}`,
+        alg: "EdDSA",
+        use: "sig",
+      });
+    }
+  }
+  return keys;
+}
+
+/**
+ * Throw if QR codes would be signed with the built-in secret in production;
+ * warn about it elsewhere
+ */
+function assertQRSecret() {
+  if (QR_SECRET !== DEFAULT_SECRET) return;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(
+      "QR_SECRET is not set. Refusing to sign QR codes with the default secret in production.",
+    );
+  }
+  console.warn("⚠️  QR_SECRET is not set; using the development default.");
+}
+
+module.exports = {
+  QR_SECRET,
+  KEY_ROTATION,
+  KEY_GRACE,
+  SIGNING_ALG,
+  currentKey,
+  keyFor,
+  publicKeys,
+  assertQRSecret,
+};
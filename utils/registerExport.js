@@ -0,0 +1,380 @@
+/**
+ * Attendance Register Export
+ *
+ * Renders an attendance register (students × sessions, status marks, totals)
+ * as CSV, XLSX, or a printable PDF for the department office.
+ * Sessions are labelled by date, plus their start time (UTC, like the date)
+ * when the subject met more than once that day.
+ *
+ * Register shape:
+ * {
+ *   subjectCode, term, section, from, to, generatedAt,
+ *   sessions: [{ date: "YYYY-MM-DD", startTime, section }, ...],
+ *   students: [{ name, rollNumber, section, marks: ["P"|"L"|"E"|"M"|"A"|"-", ...],
+ *                attended, totalClasses, percentage }]
+ * }
+ */
+
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+
+/**
+ * Undo the HTML escaping applied to names on registration
+ */
+function unescapeHTML(str) {
+  return String(str == null ? "" : str)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;/g, "'")
+    .replace(/&#x2F;/g, "/")
+    .replace(/&#x5C;/g, "\\")
+    .replace(/&#96;/g, "`")
+    .replace(/&amp;/g, "&");
+}
+
+// Marks that count as in class (present or late)
+const ATTENDED_MARKS = ["P", "L"];
+
+// Colours for marks other than present (XLSX ARGB / PDF hex)
+const MARK_COLORS = { L: "D97706", E: "2563EB", M: "2563EB", A: "DC2626" };
+
+/**
+ * Column labels for the register's sessions: the date, with the start time
+ * (HH:MM) added when more than one session fell on that date
+ * @returns {Array<{ date: string, time: string|null }>}
+ */
+function sessionColumns(register) {
+  const perDate = new Map();
+  register.sessions.forEach((s) =>
+    perDate.set(s.date, (perDate.get(s.date) || 0) + 1),
+  );
+  return register.sessions.map((s) => ({
+    date: s.date,
+    time:
+      perDate.get(s.date) > 1
+        ? new Date(s.startTime).toISOString().slice(11, 16)
+        : null,
+  }));
+}
+
+/**
+ * Single-line column label ("YYYY-MM-DD" or "YYYY-MM-DD HH:MM")
+ */
+function columnLabel(column) {
+  return column.time ? `${column.date} ${column.time}` : column.date;
+}
+
+/**
+ * Count students in class (present or late) in each session
+ */
+function presentPerSession(register) {
+  return register.sessions.map(
+    (_, i) =>
+      register.students.filter((s) => ATTENDED_MARKS.includes(s.marks[i]))
+        .length,
+  );
+}
+
+/**
+ * Legend line explaining the register marks
+ */
+const MARK_LEGEND =
+  "P = Present, L = Late, E = Excused, M = Medical, A = Absent, - = No class for section";
+
+/**
+ * Register title, naming the section when the register covers only one
+ */
+function registerTitle(register) {
+  return `Attendance Register — ${register.subjectCode}${register.section ? ` (Section ${register.section})` : ""}`;
+}
+
+/**
+ * Human-readable date range label
+ */
+function rangeLabel(register) {
+  if (!register.sessions.length) return "No sessions in range";
+  const from = register.from || register.sessions[0].date;
+  const to =
+    register.to || register.sessions[register.sessions.length - 1].date;
+  return `${from} to ${to}`;
+}
+
+// ─── CSV ───
+
+/**
+ * Quote a CSV field, neutralising spreadsheet formula injection
+ */
+function csvField(value) {
+  let str = String(value == null ? "" : value);
+  // A lone sign (e.g. the "-" no-class mark) cannot start a formula
+  if (str.length > 1 && /^[=+\-@\t\r]/.test(str)) str = "'" + str;
+  if (/[",\r\n]/.test(str)) str = '"' + str.replace(/"/g, '""') + '"';
+  return str;
+}
+
+/**
+ * Render the register as CSV text
+ * @param {object} register - Register data
+ * @returns {string}
+ */
+function toCSV(register) {
+  const lines = [];
+  lines.push(
+    [
+      "Roll Number",
+      "Name",
+      "Section",
+      ...sessionColumns(register).map(columnLabel),
+      "Attended",
+      "Total Classes",
+      "Percentage",
+    ].map(csvField),
+  );
+
+  for (const s of register.students) {
+    lines.push(
+      [
+        s.rollNumber,
+        unescapeHTML(s.name),
+        s.section,
+        ...s.marks,
+        s.attended,
+        s.totalClasses,
+        s.percentage,
+      ].map(csvField),
+    );
+  }
+
+  lines.push(
+    ["", "Present", "", ...presentPerSession(register), "", "", ""].map(
+      csvField,
+    ),
+  );
+
+  return lines.map((l) => l.join(",")).join("\r\n") + "\r\n";
+}
+
+// ─── XLSX ───
+
+/**
+ * Render the register as an XLSX workbook
+ * @param {object} register - Register data
+ * @returns {Promise<Buffer>}
+ */
+async function toXLSX(register) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = register.generatedAt;
+  const sheet = workbook.addWorksheet("Register");
+
+  const lastCol = 3 + register.sessions.length + 3;
+
+  sheet.addRow([registerTitle(register)]);
+  sheet.addRow([`Term: ${register.term}   Range: ${rangeLabel(register)}`]);
+  sheet.addRow([MARK_LEGEND]);
+  sheet.getRow(1).font = { bold: true, size: 14 };
+  sheet.mergeCells(1, 1, 1, lastCol);
+  sheet.mergeCells(2, 1, 2, lastCol);
+  sheet.mergeCells(3, 1, 3, lastCol);
+
+  const header = sheet.addRow([
+    "Roll Number",
+    "Name",
+    "Section",
+    ...sessionColumns(register).map(columnLabel),
+    "Attended",
+    "Total",
+    "%",
+  ]);
+  header.font = { bold: true };
+  header.alignment = { horizontal: "center" };
+
+  for (const s of register.students) {
+    const row = sheet.addRow([
+      s.rollNumber,
+      unescapeHTML(s.name),
+      s.section,
+      ...s.marks,
+      s.attended,
+      s.totalClasses,
+      s.percentage,
+    ]);
+    s.marks.forEach((mark, i) => {
+      const cell = row.getCell(4 + i);
+      cell.alignment = { horizontal: "center" };
+      if (MARK_COLORS[mark]) {
+        cell.font = { color: { argb: "FF" + MARK_COLORS[mark] } };
+      }
+    });
+  }
+
+  const totals = sheet.addRow([
+    "",
+    "Present",
+    "",
+    ...presentPerSession(register),
+  ]);
+  totals.font = { bold: true };
+
+  sheet.getColumn(1).width = 14;
+  sheet.getColumn(2).width = 28;
+  sheet.getColumn(3).width = 9;
+  sessionColumns(register).forEach((column, i) => {
+    sheet.getColumn(4 + i).width = column.time ? 17 : 11;
+  });
+  sheet.views = [{ state: "frozen", xSplit: 2, ySplit: 4 }];
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ─── PDF ───
+
+const PDF_MARGIN = 30;
+const ROW_HEIGHT = 16;
+const COL = { roll: 70, name: 130, date: 28, attended: 50, percent: 45 };
+
+/**
+ * Render the register as a printable PDF (A4 landscape).
+ * Session columns that do not fit on one page width continue on further pages.
+ * @param {object} register - Register data
+ * @returns {Promise<Buffer>}
+ */
+function toPDF(register) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: PDF_MARGIN,
+    });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const pageWidth = doc.page.width - PDF_MARGIN * 2;
+    const pageBottom = doc.page.height - PDF_MARGIN;
+    const fixedWidth = COL.roll + COL.name + COL.attended + COL.percent;
+    const datesPerPage = Math.max(
+      1,
+      Math.floor((pageWidth - fixedWidth) / COL.date),
+    );
+    const present = presentPerSession(register);
+    const columns = sessionColumns(register);
+
+    // Split session columns into page-width chunks (at least one, even if empty)
+    const dateChunks = [];
+    for (let i = 0; i < columns.length; i += datesPerPage) {
+      dateChunks.push([i, Math.min(i + datesPerPage, columns.length)]);
+    }
+    if (dateChunks.length === 0) dateChunks.push([0, 0]);
+
+    const drawTitle = () => {
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(14)
+        .text(registerTitle(register), PDF_MARGIN);
+      doc
+        .font("Helvetica")
+        .fontSize(9)
+        .text(
+          `Term: ${register.term}    Range: ${rangeLabel(register)}    ` +
+            `Generated: ${register.generatedAt.toISOString().split("T")[0]}    ` +
+            MARK_LEGEND,
+        );
+      doc.moveDown(0.5);
+    };
+
+    const drawRow = (y, cells, bold, height = ROW_HEIGHT) => {
+      let x = PDF_MARGIN;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(7);
+      for (const { text, width, align, color } of cells) {
+        doc.rect(x, y, width, height).strokeColor("#999999").stroke();
+        doc.fillColor(color || "#000000").text(String(text), x + 2, y + 4, {
+          width: width - 4,
+          align: align || "left",
+          lineBreak: false,
+          ellipsis: true,
+        });
+        x += width;
+      }
+      doc.fillColor("#000000");
+    };
+
+    dateChunks.forEach(([start, end], chunkIndex) => {
+      if (chunkIndex > 0) doc.addPage();
+      drawTitle();
+
+      const chunk = columns.slice(start, end);
+      // Sessions sharing a date show their start time on a second header line
+      const headerHeight = chunk.some((c) => c.time)
+        ? ROW_HEIGHT * 2 - 4
+        : ROW_HEIGHT;
+      const headerCells = [
+        { text: "Roll No", width: COL.roll },
+        { text: "Name", width: COL.name },
+        ...chunk.map((c) => ({
+          text: c.date.slice(5) + (c.time ? "\n" + c.time : ""), // MM-DD[ HH:MM]
+          width: COL.date,
+          align: "center",
+        })),
+        { text: "Attended", width: COL.attended, align: "center" },
+        { text: "%", width: COL.percent, align: "center" },
+      ];
+
+      let y = doc.y;
+      drawRow(y, headerCells, true, headerHeight);
+      y += headerHeight;
+
+      for (const s of register.students) {
+        if (y + ROW_HEIGHT * 2 > pageBottom) {
+          doc.addPage();
+          drawTitle();
+          y = doc.y;
+          drawRow(y, headerCells, true, headerHeight);
+          y += headerHeight;
+        }
+        drawRow(y, [
+          { text: s.rollNumber, width: COL.roll },
+          { text: unescapeHTML(s.name), width: COL.name },
+          ...s.marks.slice(start, end).map((m) => ({
+            text: m,
+            width: COL.date,
+            align: "center",
+            color: MARK_COLORS[m] ? "#" + MARK_COLORS[m] : "#000000",
+          })),
+          {
+            text: `${s.attended}/${s.totalClasses}`,
+            width: COL.attended,
+            align: "center",
+          },
+          { text: s.percentage, width: COL.percent, align: "center" },
+        ]);
+        y += ROW_HEIGHT;
+      }
+
+      drawRow(
+        y,
+        [
+          { text: "", width: COL.roll },
+          { text: "Present", width: COL.name },
+          ...present.slice(start, end).map((p) => ({
+            text: p,
+            width: COL.date,
+            align: "center",
+          })),
+          { text: "", width: COL.attended },
+          { text: "", width: COL.percent },
+        ],
+        true,
+      );
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  toCSV,
+  toXLSX,
+  toPDF,
+};
@@ -0,0 +1,175 @@
+/**
+ * Roster File Parser
+ *
+ * Turns an uploaded CSV or XLSX roster into plain row objects for bulk import.
+ * - Header names are matched loosely ("Roll No", "roll_number", "RollNumber")
+ * - Empty rows are skipped
+ * - Each row keeps its 1-based line number in the source file for error reports
+ * - XLSX files are read row by row and abandoned once past MAX_ROWS
+ */
+
+const { Readable } = require("stream");
+const { parse } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+
+const MAX_ROWS = 1000;
+const TOO_MANY_ROWS = `Roster file cannot have more than ${MAX_ROWS} rows.`;
+
+// Normalized header -> student field
+const HEADER_ALIASES = {
+  rollnumber: "rollNumber",
+  rollno: "rollNumber",
+  roll: "rollNumber",
+  name: "name",
+  studentname: "name",
+  fullname: "name",
+  email: "email",
+  emailaddress: "email",
+  department: "department",
+  dept: "department",
+  graduation: "graduation",
+  degree: "graduation",
+  program: "graduation",
+  year: "year",
+  yearofstudy: "year",
+  password: "password",
+};
+
+/**
+ * Map a raw header cell to a student field name (or null if unknown)
+ */
+function mapHeader(header) {
+  const key = String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  return HEADER_ALIASES[key] || null;
+}
+
+/**
+ * Convert a header row + data rows (arrays of cells) into row objects
+ * @param {Array} headerCells - Header row cells
+ * @param {Array<{ line: number, cells: Array }>} dataRows - Data rows
+ */
+function toRowObjects(headerCells, dataRows) {
+  const fields = headerCells.map(mapHeader);
+
+  if (!fields.includes("rollNumber")) {
+    throw new Error("Roster file must have a roll number column.");
+  }
+
+  const rows = [];
+  dataRows.forEach(({ line, cells }) => {
+    const values = cells.map((c) => (c == null ? "" : String(c).trim()));
+    if (values.every((v) => v === "")) return;
+
+    const row = { line, fields: {} };
+    fields.forEach((field, col) => {
+      if (field && values[col] !== undefined && values[col] !== "") {
+        row.fields[field] = values[col];
+      }
+    });
+    rows.push(row);
+  });
+
+  if (rows.length > MAX_ROWS) {
+    throw new Error(TOO_MANY_ROWS);
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV text into row objects
+ */
+function parseCSV(buffer) {
+  const records = parse(buffer, {
+    bom: true,
+    info: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true,
+  });
+  if (records.length === 0) return [];
+  return toRowObjects(
+    records[0].record,
+    records.slice(1).map((r) => ({ line: r.info.lines, cells: r.record })),
+  );
+}
+
+/**
+ * Read a cell's display value (handles rich text, hyperlinks and formulas)
+ */
+function cellValue(cell) {
+  const value = cell.value;
+  if (value && typeof value === "object") {
+    if (value.richText) return value.richText.map((r) => r.text).join("");
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return value.result;
+  }
+  return value;
+}
+
+/**
+ * Parse the first worksheet of an XLSX workbook into row objects. The
+ * workbook is streamed so an oversized sheet is rejected without being
+ * loaded whole.
+ */
+async function parseXLSX(buffer) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(
+    Readable.from(buffer),
+    {
+      worksheets: "emit",
+      sharedStrings: "cache",
+      hyperlinks: "ignore",
+      styles: "ignore",
+    },
+  );
+
+  const lines = [];
+  let dataRows = 0;
+  for await (const sheet of workbook) {
+    for await (const row of sheet) {
+      const cells = [];
+      for (let col = 1; col < row.values.length; col++) {
+        cells.push(cellValue(row.getCell(col)));
+      }
+      lines.push({ line: row.number, cells });
+
+      const empty = cells.every((c) => c == null || String(c).trim() === "");
+      if (lines.length > 1 && !empty && ++dataRows > MAX_ROWS) {
+        throw new Error(TOO_MANY_ROWS);
+      }
+    }
+    break; // First worksheet only
+  }
+
+  if (lines.length === 0) return [];
+  return toRowObjects(lines[0].cells, lines.slice(1));
+}
+
+/**
+ * Parse an uploaded roster file
+ * @param {object} file - Multer file ({ buffer, originalname, mimetype })
+ * @returns {Promise<Array<{ line: number, fields: object }>>}
+ */
+async function parseRosterFile(file) {
+  const name = (file.originalname || "").toLowerCase();
+
+  if (
+    name.endsWith(".xlsx") ||
+    file.mimetype ===
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  ) {
+    return parseXLSX(file.buffer);
+  }
+
+  if (name.endsWith(".csv") || /^text\//.test(file.mimetype)) {
+    return parseCSV(file.buffer);
+  }
+
+  throw new Error("Unsupported file type. Upload a .csv or .xlsx file.");
+}
+
+module.exports = {
+  parseRosterFile,
+  MAX_ROWS,
+};
@@ -0,0 +1,106 @@
+/**
+ * Scan Log
+ * Queries over the ScanAttempt log (for teachers looking into a session and
+ * admins looking into a student's complaint) and its retention: attempts
+ * older than the retention period are purged by a background job.
+ *
+ * Configuration (environment):
+ * - SCAN_ATTEMPT_RETENTION_DAYS: days attempts are kept (default 90;
+ *   0 = keep forever)
+ * - SCAN_ATTEMPT_PURGE_INTERVAL: how often the purge runs (ms, default 3600000)
+ */
+
+const ScanAttempt = require("../models/ScanAttempt");
+const User = require("../models/User");
+
+const retentionDays = parseInt(process.env.SCAN_ATTEMPT_RETENTION_DAYS);
+const RETENTION_DAYS =
+  Number.isInteger(retentionDays) && retentionDays >= 0 ? retentionDays : 90;
+const PURGE_INTERVAL =
+  parseInt(process.env.SCAN_ATTEMPT_PURGE_INTERVAL) || 3600000; // milliseconds
+const DEFAULT_LIMIT = 200;
+
+/**
+ * A scan attempt as returned by the API
+ * @param {object} attempt - ScanAttempt with studentId populated
+ */
+function attemptView(attempt) {
+  const student = attempt.studentId;
+  return {
+    id: attempt._id,
+    name: student ? student.name : null,
+    rollNumber: student ? student.rollNumber : null,
+    sessionId: attempt.sessionId,
+    subjectCode: attempt.subjectCode,
+    accepted: attempt.accepted,
+    reason: attempt.reason,
+    ip: attempt.ip,
+    deviceId: attempt.deviceId,
+    userAgent: attempt.userAgent,
+    qrAgeSeconds: attempt.qrAgeSeconds,
+    clockSkewMs: attempt.clockSkewMs,
+    createdAt: attempt.createdAt,
+  };
+}
+
+/**
+ * Find scan attempts, newest first
+ * @param {object} filter - ScanAttempt filter
+ * @param {object} [options]
+ * @param {"accepted"|"rejected"} [options.outcome]
+ * @param {string} [options.rollNumber] - Only this student's attempts
+ * @param {number} [options.limit] - Default 200
+ * @returns {Promise<Array<object>>} Attempt views
+ */
+async function findAttempts(filter, { outcome, rollNumber, limit } = {}) {
+  const query = { ...filter };
+  if (outcome) query.accepted = outcome === "accepted";
+  if (rollNumber) {
+    const student = await User.findOne({ rollNumber, role: "student" });
+    if (!student) return [];
+    query.studentId = student._id;
+  }
+
+  const attempts = await ScanAttempt.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit || DEFAULT_LIMIT)
+    .populate("studentId", "name rollNumber");
+  return attempts.map(attemptView);
+}
+
+/**
+ * Delete attempts older than the retention period
+ * @param {Date} [now]
+ * @returns {Promise<number>} Attempts deleted
+ */
+async function purgeOldAttempts(now = new Date()) {
+  if (!RETENTION_DAYS) return 0;
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * 86400000);
+  const result = await ScanAttempt.deleteMany({ createdAt: { $lt: cutoff } });
+  return result.deletedCount;
+}
+
+/**
+ * Run the purge now and then every PURGE_INTERVAL
+ * @returns {NodeJS.Timeout}
+ */
+function startRetentionJob() {
+  const tick = () =>
+    purgeOldAttempts()
+      .then((deleted) => {
+        if (deleted) console.log(`🧹 Purged ${deleted} old scan attempt(s).`);
+      })
+      .catch((err) => console.error("Scan log purge error:", err));
+  tick();
+  const timer = setInterval(tick, PURGE_INTERVAL);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  attemptView,
+  findAttempts,
+  purgeOldAttempts,
+  startRetentionJob,
+};
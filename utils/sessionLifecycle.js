@@ -0,0 +1,167 @@
+/**
+ * Session Lifecycle
+ * Opening and closing attendance sessions, shared by the teacher's routes
+ * and the timetable scheduler. A teacher runs one session at a time: opening
+ * a session closes any other session they have open ("replaced").
+ * Closing a session records why it ended and ends its live QR stream.
+ * Opening a session held in a room copies the room's geofence, if it has one.
+ *
+ * Open sessions also expire, so one left running when a teacher closes the
+ * browser stops accepting scans. A background job closes sessions that are
+ * open longer than the maximum duration ("timeout") or have been idle — no
+ * scans, manual changes, or connected projector view — for too long ("idle").
+ *
+ * Configuration (environment):
+ * - SESSION_MAX_DURATION_MINUTES: longest a session stays open
+ *   (default 180; 0 = no limit)
+ * - SESSION_IDLE_TIMEOUT_MINUTES: idle time before a session closes
+ *   (default 20; 0 = never)
+ * - SESSION_EXPIRY_INTERVAL: how often the expiry job runs (ms, default 60000)
+ */
+
+const AttendanceSession = require("../models/AttendanceSession");
+const sessionStream = require("./sessionStream");
+const { fenceFor } = require("./geofence");
+
+/**
+ * Read a non-negative whole number of minutes from the environment
+ */
+function minutesFromEnv(name, fallback) {
+  const minutes = parseInt(process.env[name]);
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : fallback;
+}
+
+const MAX_DURATION_MINUTES = minutesFromEnv(
+  "SESSION_MAX_DURATION_MINUTES",
+  180,
+);
+const IDLE_TIMEOUT_MINUTES = minutesFromEnv("SESSION_IDLE_TIMEOUT_MINUTES", 20);
+const EXPIRY_INTERVAL = parseInt(process.env.SESSION_EXPIRY_INTERVAL) || 60000; // milliseconds
+
+/**
+ * Close an open session
+ * @param {object} session - AttendanceSession document
+ * @param {string} reason - One of AttendanceSession.END_REASONS
+ * @param {object} [details] - Extra fields for the stream's "ended" event
+ * @returns {Promise<object>} The saved session
+ */
+async function closeSession(session, reason, details = {}) {
+  session.active = false;
+  session.endTime = new Date();
+  session.endReason = reason;
+  await session.save();
+  sessionStream.endSession(session._id, { reason, ...details });
+  return session;
+}
+
+/**
+ * Open a session for a teacher, closing any other session they have open
+ * @param {object} session - AttendanceSession document (new or scheduled)
+ * @param {string|ObjectId} teacherId - Teacher running the session
+ * @returns {Promise<object>} The saved session
+ */
+async function openSession(session, teacherId) {
+  const existing = await AttendanceSession.findOne({
+    teacherId,
+    active: true,
+    _id: { $ne: session._id },
+  });
+  if (existing) await closeSession(existing, "replaced");
+
+  session.teacherId = teacherId;
+  session.active = true;
+  session.startTime = new Date();
+  session.lastActivityAt = session.startTime;
+  session.endTime = null;
+  session.endReason = null;
+  session.geofence = await fenceFor(session.room);
+  await session.save();
+  return session;
+}
+
+/**
+ * Why an open session has expired, if it has
+ * @param {object} session - AttendanceSession document
+ * @param {Date} [now]
+ * @returns {"timeout"|"idle"|null}
+ */
+function expiryReason(session, now = new Date()) {
+  const minutesSince = (date) => (now - date) / 60000;
+
+  if (
+    MAX_DURATION_MINUTES &&
+    minutesSince(session.startTime) >= MAX_DURATION_MINUTES
+  ) {
+    return "timeout";
+  }
+  if (
+    IDLE_TIMEOUT_MINUTES &&
+    !sessionStream.hasViewers(session._id) &&
+    minutesSince(session.lastActivityAt || session.startTime) >=
+      IDLE_TIMEOUT_MINUTES
+  ) {
+    return "idle";
+  }
+  return null;
+}
+
+/**
+ * Record activity on an open session, postponing its idle timeout
+ * @param {object} session - AttendanceSession document
+ * @returns {Promise}
+ */
+function touchSession(session) {
+  session.lastActivityAt = new Date();
+  return AttendanceSession.updateOne(
+    { _id: session._id, active: true },
+    { lastActivityAt: session.lastActivityAt },
+  );
+}
+
+/**
+ * Close every open session that has expired. A connected projector view
+ * counts as activity.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Sessions closed
+ */
+async function closeExpiredSessions(now = new Date()) {
+  const sessions = await AttendanceSession.find({ active: true });
+
+  let closed = 0;
+  for (const session of sessions) {
+    if (sessionStream.hasViewers(session._id)) await touchSession(session);
+
+    const reason = expiryReason(session, now);
+    if (reason) {
+      await closeSession(session, reason);
+      closed += 1;
+    }
+  }
+  return closed;
+}
+
+/**
+ * Run the expiry job now and then every EXPIRY_INTERVAL
+ * @returns {NodeJS.Timeout}
+ */
+function startExpiryJob() {
+  const tick = () =>
+    closeExpiredSessions()
+      .then((closed) => {
+        if (closed) console.log(`⏱️ Closed ${closed} expired session(s).`);
+      })
+      .catch((err) => console.error("Session expiry error:", err));
+  tick();
+  const timer = setInterval(tick, EXPIRY_INTERVAL);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  openSession,
+  closeSession,
+  expiryReason,
+  touchSession,
+  closeExpiredSessions,
+  startExpiryJob,
+};
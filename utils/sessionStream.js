@@ -0,0 +1,271 @@
+/**
+ * Live Session Stream (Server-Sent Events)
+ *
+ * Pushes rotating QR frames to every open projector view of an attendance
+ * session, replacing the old 2-second polling of /attendance/qr/current,
+ * along with live scan events (accepted and rejected) for the attendee feed.
+ *
+ * - One rotation timer per session, shared by all connected views, so every
+ *   screen shows the same signed frame; each view picks how it is rendered
+ *   (PNG or SVG, size, margin, colours), and views with the same options
+ *   share the rendered image
+ * - Rotation only runs while at least one view is connected
+ * - Every event carries a sequence id; clients reconnect with Last-Event-ID
+ *   and receive the current frame plus any buffered events they missed
+ *   (a fresh connection receives the whole buffer)
+ * - Ending a session notifies all views and closes their streams
+ */
+
+const { generateQRPayload, generateQRImage } = require("./qrGenerator");
+
+const QR_ROTATION_INTERVAL = parseInt(process.env.QR_ROTATION_INTERVAL) || 2000; // milliseconds
+const HEARTBEAT_INTERVAL = 15000; // milliseconds
+const RECONNECT_DELAY = 2000; // milliseconds, sent to clients as `retry`
+const REPLAY_BUFFER_SIZE = 100; // replayable events kept per session
+
+// sessionId -> { session, clients (response -> image options), seq, buffer,
+//   frame, rotationTimer }
+const channels = new Map();
+
+/**
+ * Get (or create) the channel state for a session
+ * @param {object} session - AttendanceSession document
+ * @returns {object} Channel state
+ */
+function getChannel(session) {
+  const key = session._id.toString();
+  let channel = channels.get(key);
+  if (!channel) {
+    channel = {
+      session: {
+        id: key,
+        teacherId: session.teacherId.toString(),
+        subjectCode: session.subjectCode,
+        section: session.section || null,
+        startTime: session.startTime,
+      },
+      clients: new Map(),
+      seq: 0,
+      buffer: [],
+      frame: null,
+      rotationTimer: null,
+    };
+    channels.set(key, channel);
+  }
+  return channel;
+}
+
+/**
+ * Write a single SSE event to one client
+ */
+function writeEvent(res, id, event, data) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send an event to every client of a channel.
+ * Replayable events are buffered so reconnecting clients can catch up;
+ * QR frames are not, since a stale frame is useless.
+ */
+function broadcast(channel, event, data, replayable) {
+  channel.seq += 1;
+  const id = channel.seq;
+
+  if (replayable) {
+    channel.buffer.push({ id, event, data });
+    if (channel.buffer.length > REPLAY_BUFFER_SIZE) {
+      channel.buffer.shift();
+    }
+  }
+
+  for (const res of channel.clients.keys()) {
+    writeEvent(res, id, event, data);
+  }
+  return id;
+}
+
+/**
+ * A frame's "qr" event for a view, rendered with the view's image options.
+ * Each distinct set of options is rendered once per frame.
+ */
+async function renderFrame(frame, options) {
+  const key = JSON.stringify(options);
+  if (!frame.images.has(key)) {
+    frame.images.set(key, generateQRImage(frame.qrData, options));
+  }
+  return { ...frame.info, image: await frame.images.get(key) };
+}
+
+/**
+ * Generate a fresh signed QR frame for the channel and push it to all views
+ */
+async function rotateFrame(channel) {
+  const { id, teacherId, subjectCode } = channel.session;
+  const { qrData } = generateQRPayload(id, teacherId, subjectCode);
+  const frame = {
+    qrData,
+    images: new Map(),
+    info: {
+      sessionId: id,
+      subjectCode,
+      generatedAt: Date.now(),
+      nextRotationAt: Date.now() + QR_ROTATION_INTERVAL,
+    },
+  };
+  const views = [...channel.clients];
+  const events = await Promise.all(
+    views.map(([, options]) => renderFrame(frame, options)),
+  );
+
+  // Session may have ended while the images were rendering
+  if (!channels.has(id)) return;
+
+  // Frames are not replayable (a stale frame is useless)
+  channel.frame = frame;
+  channel.seq += 1;
+  views.forEach(([res], i) => {
+    if (channel.clients.has(res)) writeEvent(res, channel.seq, "qr", events[i]);
+  });
+}
+
+/**
+ * Start the shared rotation timer for a channel (no-op if already running)
+ */
+function startRotation(channel) {
+  if (channel.rotationTimer) return;
+
+  const tick = () =>
+    rotateFrame(channel).catch((error) => {
+      console.error("QR rotation error:", error);
+    });
+
+  tick();
+  channel.rotationTimer = setInterval(tick, QR_ROTATION_INTERVAL);
+}
+
+/**
+ * Stop the rotation timer for a channel
+ */
+function stopRotation(channel) {
+  if (channel.rotationTimer) {
+    clearInterval(channel.rotationTimer);
+    channel.rotationTimer = null;
+  }
+  channel.frame = null;
+}
+
+/**
+ * Attach an HTTP response as an SSE client of a session.
+ * Resumes from the Last-Event-ID header when the client is reconnecting.
+ *
+ * @param {object} session - Active AttendanceSession document
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} [stats] - Extra data for the initial "session" event
+ * @param {object} [imageOptions] - How this view's frames are rendered
+ *   (see generateQRImage)
+ */
+function subscribe(session, req, res, stats = {}, imageOptions = {}) {
+  const channel = getChannel(session);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  // Session metadata first, so the view can render before the first frame
+  writeEvent(res, channel.seq, "session", {
+    ...channel.session,
+    ...stats,
+    rotationInterval: QR_ROTATION_INTERVAL,
+  });
+
+  // Replay anything the client missed while disconnected
+  const lastEventId = parseInt(req.get("Last-Event-ID")) || 0;
+  for (const entry of channel.buffer) {
+    if (entry.id > lastEventId) {
+      writeEvent(res, entry.id, entry.event, entry.data);
+    }
+  }
+
+  // Current frame immediately, instead of waiting for the next rotation
+  if (channel.frame) {
+    const { frame } = channel;
+    renderFrame(frame, imageOptions)
+      .then((event) => {
+        // Skip it if a newer frame went out while it rendered
+        if (channel.frame === frame && channel.clients.has(res)) {
+          writeEvent(res, channel.seq, "qr", event);
+        }
+      })
+      .catch((error) => console.error("QR render error:", error));
+  }
+
+  channel.clients.set(res, imageOptions);
+  startRotation(channel);
+
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    HEARTBEAT_INTERVAL,
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    channel.clients.delete(res);
+    if (channel.clients.size === 0) {
+      stopRotation(channel);
+    }
+  });
+}
+
+/**
+ * Publish a replayable event (e.g., a scan) to all views of a session.
+ * Views that connect later receive it from the replay buffer.
+ *
+ * @param {object} session - AttendanceSession document
+ * @param {string} event - Event name
+ * @param {object} data - Event payload
+ */
+function publish(session, event, data) {
+  if (!session.active) return;
+  broadcast(getChannel(session), event, data, true);
+}
+
+/**
+ * Notify all views that a session has ended and close their streams
+ * @param {string} sessionId - AttendanceSession ID
+ * @param {object} [details] - Extra data included in the "ended" event
+ */
+function endSession(sessionId, details = {}) {
+  const key = sessionId.toString();
+  const channel = channels.get(key);
+  if (!channel) return;
+
+  stopRotation(channel);
+  broadcast(channel, "ended", { sessionId: key, ...details }, false);
+  for (const res of channel.clients.keys()) {
+    res.end();
+  }
+  channels.delete(key);
+}
+
+/**
+ * Whether any view is connected to a session's stream
+ * @param {string} sessionId - AttendanceSession ID
+ * @returns {boolean}
+ */
+function hasViewers(sessionId) {
+  const channel = channels.get(sessionId.toString());
+  return !!channel && channel.clients.size > 0;
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  endSession,
+  hasViewers,
+};
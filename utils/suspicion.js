@@ -0,0 +1,230 @@
+/**
+ * Suspicion Report
+ * Looks over a session's scan attempts and attendance marks for signs of
+ * proxy attendance:
+ * - shared device: one device identifier sent by several students
+ * - shared network: one IP address marking several students
+ * - burst: a cluster of marks arriving together after a quiet spell
+ *   mid-session (e.g. a photo of the QR passed to absent students); the
+ *   opening rush of a session is not a burst
+ * - edge of validity: marks from QR frames at the very end of their lifetime
+ * - retries: several rejected attempts before a student's mark was accepted
+ * - flagged: marks accepted from outside the geofence or an unregistered
+ *   device
+ * Findings are leads for the teacher to review, not proof. Marks are
+ * invalidated through the usual revoke endpoint, which keeps the audit trail.
+ *
+ * Configuration (environment):
+ * - SUSPICION_SHARED_IP_STUDENTS: students from one IP that count as
+ *   suspicious (default 3; campus networks put many students behind one IP)
+ * - SUSPICION_BURST_SIZE: marks that make a burst (default 4)
+ * - SUSPICION_BURST_WINDOW: seconds a burst arrives within (default 5)
+ * - SUSPICION_BURST_QUIET: seconds without marks before a burst (default 60)
+ * - SUSPICION_RETRY_REJECTIONS: rejections before a success (default 3)
+ */
+
+const ScanAttempt = require("../models/ScanAttempt");
+const Attendance = require("../models/Attendance");
+const User = require("../models/User");
+const { QR_MAX_AGE } = require("./qrGenerator");
+
+const SHARED_IP_STUDENTS =
+  parseInt(process.env.SUSPICION_SHARED_IP_STUDENTS) || 3;
+const BURST_SIZE = parseInt(process.env.SUSPICION_BURST_SIZE) || 4;
+const BURST_WINDOW = parseInt(process.env.SUSPICION_BURST_WINDOW) || 5; // seconds
+const BURST_QUIET = parseInt(process.env.SUSPICION_BURST_QUIET) || 60; // seconds
+const RETRY_REJECTIONS = parseInt(process.env.SUSPICION_RETRY_REJECTIONS) || 3;
+// Scan age (from the start of the frame's time slot) in the last second
+// before the frame stops being accepted
+const EDGE_AGE = QR_MAX_AGE - 1; // seconds
+
+/**
+ * Group items into a Map of key -> items, skipping empty keys
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Distinct student ids among attempts
+ */
+function studentsOf(attempts) {
+  return [...new Set(attempts.map((a) => a.studentId.toString()))];
+}
+
+/**
+ * Clusters of BURST_SIZE+ accepted scans within BURST_WINDOW seconds that
+ * follow at least BURST_QUIET seconds without an accepted scan
+ * @param {Array<object>} accepted - Accepted attempts, oldest first
+ * @returns {Array<Array<object>>}
+ */
+function findBursts(accepted) {
+  const bursts = [];
+  let i = 1;
+  while (i < accepted.length) {
+    const start = accepted[i].createdAt;
+    const gap = (start - accepted[i - 1].createdAt) / 1000;
+    let j = i;
+    while (
+      j + 1 < accepted.length &&
+      (accepted[j + 1].createdAt - start) / 1000 <= BURST_WINDOW
+    ) {
+      j += 1;
+    }
+    if (gap >= BURST_QUIET && j - i + 1 >= BURST_SIZE) {
+      bursts.push(accepted.slice(i, j + 1));
+      i = j + 1;
+    } else {
+      i += 1;
+    }
+  }
+  return bursts;
+}
+
+/**
+ * Build the suspicion report for a session
+ * @param {object} session - AttendanceSession document
+ * @returns {Promise<object>} { findings, students } — findings name the
+ *   students involved; students lists each of them with every reason
+ */
+async function buildSuspicionReport(session) {
+  const [attempts, records] = await Promise.all([
+    ScanAttempt.find({ sessionId: session._id }).sort({ createdAt: 1 }).lean(),
+    Attendance.find({ sessionId: session._id }).lean(),
+  ]);
+  const users = await User.find({
+    _id: { $in: [...attempts, ...records].map((a) => a.studentId) },
+  }).select("name rollNumber");
+  const people = new Map(
+    users.map((u) => [
+      u._id.toString(),
+      { name: u.name, rollNumber: u.rollNumber },
+    ]),
+  );
+  const marks = new Map(records.map((r) => [r.studentId.toString(), r]));
+  const accepted = attempts.filter((a) => a.accepted);
+
+  // Each finding names its students; each student collects their reasons
+  const findings = [];
+  const reasons = new Map();
+  const addFinding = (type, detail, notes) => {
+    findings.push({
+      type,
+      detail,
+      students: [...notes].map(([id, note]) => ({ ...people.get(id), note })),
+    });
+    for (const [id, note] of notes) {
+      if (!reasons.has(id)) reasons.set(id, []);
+      reasons.get(id).push({ type, note });
+    }
+  };
+
+  // One device, several students
+  for (const [deviceId, group] of groupBy(attempts, (a) => a.deviceId)) {
+    const students = studentsOf(group);
+    if (students.length < 2) continue;
+    addFinding(
+      "shared-device",
+      `Device …${deviceId.slice(-6)} was used by ${students.length} students.`,
+      new Map(
+        students.map((id) => [id, `Shared device …${deviceId.slice(-6)}`]),
+      ),
+    );
+  }
+
+  // One network address, many marked students
+  for (const [ip, group] of groupBy(accepted, (a) => a.ip)) {
+    const students = studentsOf(group);
+    if (students.length < SHARED_IP_STUDENTS) continue;
+    addFinding(
+      "shared-ip",
+      `${students.length} students were marked from IP ${ip}.`,
+      new Map(students.map((id) => [id, `Shared IP ${ip}`])),
+    );
+  }
+
+  // Sudden clusters after a quiet spell
+  for (const burst of findBursts(accepted)) {
+    const at = burst[0].createdAt;
+    addFinding(
+      "burst",
+      `${burst.length} marks arrived within ${BURST_WINDOW} s at ` +
+        `${at.toISOString().substring(11, 19)} UTC after a quiet spell.`,
+      new Map(studentsOf(burst).map((id) => [id, "Part of a burst of scans"])),
+    );
+  }
+
+  // Frames scanned at the very end of their validity
+  const late = accepted.filter((a) => a.qrAgeSeconds >= EDGE_AGE);
+  if (late.length) {
+    addFinding(
+      "edge-of-validity",
+      `${late.length} mark(s) came from QR frames about to expire ` +
+        `(${EDGE_AGE} s or more after their time slot began).`,
+      new Map(
+        late.map((a) => [
+          a.studentId.toString(),
+          `QR frame ${a.qrAgeSeconds} s old`,
+        ]),
+      ),
+    );
+  }
+
+  // Repeated rejections, then success
+  const retries = new Map();
+  for (const [id, group] of groupBy(attempts, (a) => a.studentId.toString())) {
+    const firstAccepted = group.findIndex((a) => a.accepted);
+    const rejected = firstAccepted === -1 ? 0 : firstAccepted;
+    if (rejected >= RETRY_REJECTIONS) {
+      retries.set(id, `${rejected} rejected attempts before success`);
+    }
+  }
+  if (retries.size) {
+    addFinding(
+      "retries",
+      `${retries.size} student(s) were accepted after ${RETRY_REJECTIONS} or more rejected attempts.`,
+      retries,
+    );
+  }
+
+  // Marks flagged when they were accepted
+  const flagged = records.filter((r) => r.flagged);
+  if (flagged.length) {
+    addFinding(
+      "flagged",
+      `${flagged.length} mark(s) were flagged when scanned.`,
+      new Map(flagged.map((r) => [r.studentId.toString(), r.flagReason])),
+    );
+  }
+
+  // Every student named in a finding, most reasons first
+  const students = [...reasons]
+    .filter(([id]) => people.has(id))
+    .map(([id, list]) => {
+      const mark = marks.get(id);
+      return {
+        ...people.get(id),
+        marked: !!mark,
+        status: mark ? mark.status : null,
+        reasons: list,
+      };
+    });
+
+  return {
+    findings,
+    students: students.sort(
+      (a, b) =>
+        b.reasons.length - a.reasons.length ||
+        a.rollNumber.localeCompare(b.rollNumber),
+    ),
+  };
+}
+
+module.exports = { buildSuspicionReport };
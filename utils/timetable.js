@@ -0,0 +1,178 @@
+/**
+ * Timetable Scheduler
+ *
+ * Turns timetable slots into attendance sessions:
+ * - each day's classes are created as scheduled sessions (no startTime yet),
+ *   one per slot occurrence, except on holidays
+ * - slots with autoOpen have their session opened at the start time (unless
+ *   the teacher is already running another session) and closed at the end
+ * - a scheduled class that is never held counts toward totals once its start
+ *   time has passed, unless it is cancelled
+ *
+ * Dates and times follow the server's local time.
+ */
+
+const AttendanceSession = require("../models/AttendanceSession");
+const Attendance = require("../models/Attendance");
+const TimetableSlot = require("../models/TimetableSlot");
+const Holiday = require("../models/Holiday");
+const { openSession, closeSession } = require("./sessionLifecycle");
+
+const SCHEDULER_INTERVAL =
+  parseInt(process.env.TIMETABLE_SCHEDULER_INTERVAL) || 60000; // milliseconds
+
+/**
+ * A date as YYYY-MM-DD in server local time
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function localDate(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Start and end instants of a local date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ start: Date, end: Date }}
+ */
+function dayBounds(date) {
+  const start = TimetableSlot.at(date, "00:00");
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+}
+
+/**
+ * Create the scheduled sessions for a date's timetabled classes.
+ * Existing sessions are left as they are.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<number>} Sessions created
+ */
+async function scheduleDay(date) {
+  if (await Holiday.exists({ date })) return 0;
+
+  const [year, month, day] = date.split("-").map(Number);
+  const slots = await TimetableSlot.find({
+    dayOfWeek: new Date(year, month - 1, day).getDay(),
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+  });
+
+  let created = 0;
+  for (const slot of slots) {
+    const scheduledStart = TimetableSlot.at(date, slot.startTime);
+    try {
+      const result = await AttendanceSession.updateOne(
+        { slotId: slot._id, scheduledStart },
+        {
+          $setOnInsert: {
+            subjectCode: slot.subjectCode,
+            section: slot.section,
+            teacherId: slot.teacherId,
+            date: localDate(scheduledStart),
+            startTime: null,
+            active: false,
+            scheduledEnd: TimetableSlot.at(date, slot.endTime),
+            room: slot.room,
+          },
+        },
+        { upsert: true },
+      );
+      created += result.upsertedCount;
+    } catch (error) {
+      // Another run created it at the same moment
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return created;
+}
+
+/**
+ * Remove scheduled sessions that have not started and have no attendance,
+ * so they can be recreated from an edited timetable
+ * @param {object} filter - Extra AttendanceSession filter
+ * @returns {Promise<number>} Sessions removed
+ */
+async function clearUpcoming(filter) {
+  const upcoming = await AttendanceSession.find({
+    $and: [
+      filter,
+      {
+        slotId: { $ne: null },
+        startTime: null,
+        cancelledAt: null,
+        scheduledStart: { $gt: new Date() },
+      },
+    ],
+  }).select("_id");
+  const ids = upcoming.map((s) => s._id);
+  const recorded = await Attendance.distinct("sessionId", {
+    sessionId: { $in: ids },
+  });
+  const result = await AttendanceSession.deleteMany({
+    _id: { $in: ids, $nin: recorded },
+  });
+  return result.deletedCount;
+}
+
+/**
+ * One scheduler pass: schedule today's classes, then open and close
+ * autoOpen classes that are due
+ * @param {Date} [now]
+ */
+async function runScheduler(now = new Date()) {
+  await scheduleDay(localDate(now));
+
+  const autoSlots = await TimetableSlot.distinct("_id", { autoOpen: true });
+  if (!autoSlots.length) return;
+
+  const due = await AttendanceSession.find({
+    slotId: { $in: autoSlots },
+    startTime: null,
+    cancelledAt: null,
+    scheduledStart: { $lte: now },
+    scheduledEnd: { $gt: now },
+  });
+  for (const session of due) {
+    // Never cut short a session the teacher is running by hand
+    const busy = await AttendanceSession.exists({
+      teacherId: session.teacherId,
+      active: true,
+    });
+    if (!busy) await openSession(session, session.teacherId);
+  }
+
+  const over = await AttendanceSession.find({
+    slotId: { $in: autoSlots },
+    active: true,
+    scheduledEnd: { $lte: now },
+  });
+  for (const session of over) {
+    await closeSession(session, "schedule");
+  }
+}
+
+/**
+ * Run the scheduler now and then every SCHEDULER_INTERVAL
+ * @returns {NodeJS.Timeout}
+ */
+function startScheduler() {
+  const tick = () =>
+    runScheduler().catch((err) =>
+      console.error("Timetable scheduler error:", err),
+    );
+  tick();
+  const timer = setInterval(tick, SCHEDULER_INTERVAL);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  localDate,
+  dayBounds,
+  scheduleDay,
+  clearUpcoming,
+  runScheduler,
+  startScheduler,
+};